@@ -1,10 +1,16 @@
 import * as React from 'react';
+import { createPortal } from 'react-dom';
 import { useId } from '@react-lit/auto-id';
 import {
+	canUseDOM,
 	getDocumentDimensions,
 	getOwnerDocument,
 	makeId,
+	chain,
+	createNamedContext,
 	useComposeRefs,
+	useIsomorphicLayoutEffect,
+	useStableCallback,
 	composeEventHandlers,
 } from '@react-lit/helper';
 import { Portal } from '@react-lit/portal';
@@ -21,7 +27,7 @@ import { useRect } from '@react-lit/rect';
  * @prop {string} LEAVINGVISIBLE
  * @prop {string} DISMISSED
  */
-const TooltipStates = {
+export const TooltipStates = {
 	IDLE: 'IDLE',
 	FOCUSED: 'FOCUSED',
 	VISIBLE: 'VISIBLE',
@@ -34,63 +40,163 @@ const TooltipStates = {
 /**
  * @typedef {Object} TooltipEvents
  * @prop {string} BLUR
+ * @prop {string} CLICK
  * @prop {string} FOCUS
  * @prop {string} GLOBALMOUSEMOVE
+ * @prop {string} HIDE
+ * @prop {string} LONGPRESS
  * @prop {string} MOUSEDOWN
  * @prop {string} MOUSEENTER
  * @prop {string} MOUSELEAVE
  * @prop {string} MOUSEMOVE
+ * @prop {string} POPUPENTER
+ * @prop {string} POPUPLEAVE
  * @prop {string} REST
  * @prop {string} SELECTWITHKEYBOARD
+ * @prop {string} SHOW
  * @prop {string} TIMECOMPLETE
+ * @prop {string} TOUCHEND
  */
-const TooltipEvents = {
+export const TooltipEvents = {
 	BLUR: 'BLUR',
+	CLICK: 'CLICK',
 	FOCUS: 'FOCUS',
 	GLOBALMOUSEMOVE: 'GLOBAL_MOUSE_MOVE',
+	HIDE: 'HIDE',
+	LONGPRESS: 'LONG_PRESS',
 	MOUSEDOWN: 'MOUSE_DOWN',
 	MOUSEENTER: 'MOUSE_ENTER',
 	MOUSELEAVE: 'MOUSE_LEAVE',
 	MOUSEMOVE: 'MOUSE_MOVE',
+	POPUPENTER: 'POPUP_ENTER',
+	POPUPLEAVE: 'POPUP_LEAVE',
 	REST: 'REST',
 	SELECTWITHKEYBOARD: 'SELECT_WITH_KEYBOARD',
+	SHOW: 'SHOW',
 	TIMECOMPLETE: 'TIME_COMPLETE',
+	TOUCHEND: 'TOUCH_END',
 };
 
-/** @typedef {keyof typeof TooltipStates} TooltipState */
-/** @typedef {keyof typeof TooltipEvents} TooltipEvent */
+// NOTE(joel): Custom charts may add their own states and events, hence we
+// accept any string on top of the built-in ones.
+/** @typedef {keyof typeof TooltipStates | string} TooltipState */
+/** @typedef {keyof typeof TooltipEvents | string} TooltipEvent */
 
 ////////////////////////////////////////////////////////////////////////////////
 
 /**
  * @typedef {Object} StateContext
  * @prop {string?} [id]
+ * @prop {number} [openDelay]
+ * @prop {number} [closeDelay]
+ * @prop {TooltipGroupValue} [group]
+ * @prop {boolean} [imperative]
+ * @prop {boolean} [wcag]
  */
 
 /**
  * @typedef {Object} MachineEvent
  * @prop {TooltipEvent} type
  * @prop {string?} [id]
+ * @prop {number} [openDelay]
+ * @prop {number} [closeDelay]
+ * @prop {TooltipGroupValue} [group]
+ * @prop {boolean} [skipDelay]
+ * @prop {boolean} [imperative]
+ * @prop {boolean} [wcag]
+ * @prop {number} [duration]
  */
 
 /**
- * @typedef {(context: StateContext, event: MachineEvent) => void} ActionFunction
+ * @typedef {(context: StateContext, event: MachineEvent, machine: TooltipMachine) => void} ActionFunction
+ */
+
+/**
+ * @typedef {(context: StateContext, event: MachineEvent) => boolean} GuardFunction
+ */
+
+/**
+ * @typedef {TooltipState | {target: TooltipState, cond?: GuardFunction}} Transition
+ */
+
+/**
+ * @typedef {Object} StateDefinition
+ * @prop {ActionFunction} [enter]
+ * @prop {ActionFunction} [leave]
+ * @prop {{[key in TooltipEvent]?: Transition | Transition[]}} [on]
  */
 
 /**
  * @typedef {Object} StateChart
  * @prop {TooltipState} initial
- * @prop {{[key in TooltipState]: {enter?: ActionFunction, leave?: ActionFunction, on: {[key in TooltipEvent]: TooltipState}}}} states
+ * @prop {{[key in TooltipState]: StateDefinition}} states
+ */
+
+/**
+ * @typedef {Object} StateChartOverrides
+ * @prop {TooltipState} [initial]
+ * @prop {{[key in TooltipState]?: StateDefinition}} [states]
+ */
+
+/**
+ * isSameGroup checks if an event comes from a tooltip of the same group as
+ * the currently active one. Tooltips w/o a group belong to the same one.
+ * @type {GuardFunction}
+ */
+function isSameGroup(context, event) {
+	return context.group === event.group;
+}
+
+/**
+ * shouldSkipDelay checks if a tooltip should show w/o its rest delay.
+ * @type {GuardFunction}
+ */
+function shouldSkipDelay(_, event) {
+	return Boolean(event.skipDelay);
+}
+
+/**
+ * isTargetedTooltip checks if an event targets the currently active tooltip.
+ * Events w/o an id target any tooltip.
+ * @type {GuardFunction}
+ */
+function isTargetedTooltip(context, event) {
+	return event.id == null || context.id === event.id;
+}
+
+/**
+ * isImperative checks if the active tooltip has been shown w/o hovering or
+ * focusing its trigger, i.e. through the imperative `tooltip` API or a click.
+ * @type {GuardFunction}
+ */
+function isImperative(context) {
+	return Boolean(context.imperative);
+}
+
+/**
+ * isWcagCompliant checks if the active tooltip has opted into WCAG 1.4.13
+ * compliance, which makes it dismissible before it has become visible.
+ * @type {GuardFunction}
  */
+function isWcagCompliant(context) {
+	return Boolean(context.wcag);
+}
 
-const chart = {
+/** @type {StateChart} */
+const defaultChart = {
 	initial: TooltipStates.IDLE,
 	states: {
 		[TooltipStates.IDLE]: {
 			enter: clearContextId,
 			on: {
-				[TooltipEvents.MOUSEENTER]: TooltipStates.FOCUSED,
+				[TooltipEvents.MOUSEENTER]: [
+					{ target: TooltipStates.VISIBLE, cond: shouldSkipDelay },
+					TooltipStates.FOCUSED,
+				],
 				[TooltipEvents.FOCUS]: TooltipStates.VISIBLE,
+				[TooltipEvents.LONGPRESS]: TooltipStates.VISIBLE,
+				[TooltipEvents.SHOW]: TooltipStates.VISIBLE,
+				[TooltipEvents.CLICK]: TooltipStates.VISIBLE,
 			},
 		},
 		[TooltipStates.FOCUSED]: {
@@ -98,42 +204,117 @@ const chart = {
 			leave: clearRestTimer,
 			on: {
 				[TooltipEvents.MOUSEMOVE]: TooltipStates.FOCUSED,
-				[TooltipEvents.MOUSELEAVE]: TooltipStates.IDLE,
+				[TooltipEvents.MOUSELEAVE]: {
+					target: TooltipStates.IDLE,
+					cond: isTargetedTooltip,
+				},
 				[TooltipEvents.MOUSEDOWN]: TooltipStates.DISMISSED,
 				[TooltipEvents.BLUR]: TooltipStates.IDLE,
 				[TooltipEvents.REST]: TooltipStates.VISIBLE,
+				[TooltipEvents.LONGPRESS]: TooltipStates.VISIBLE,
+				[TooltipEvents.SELECTWITHKEYBOARD]: {
+					target: TooltipStates.DISMISSED,
+					cond: isWcagCompliant,
+				},
+				[TooltipEvents.SHOW]: TooltipStates.VISIBLE,
+				[TooltipEvents.CLICK]: TooltipStates.VISIBLE,
+				[TooltipEvents.HIDE]: {
+					target: TooltipStates.IDLE,
+					cond: isTargetedTooltip,
+				},
 			},
 		},
 		[TooltipStates.VISIBLE]: {
+			enter: startDurationTimer,
+			leave: clearDurationTimer,
 			on: {
-				[TooltipEvents.FOCUS]: TooltipStates.FOCUSED,
-				[TooltipEvents.MOUSEENTER]: TooltipStates.FOCUSED,
-				[TooltipEvents.MOUSELEAVE]: TooltipStates.LEAVINGVISIBLE,
+				// NOTE(joel): Entering the trigger of the visible tooltip, e.g. one
+				// shown by default, keeps it visible.
+				[TooltipEvents.FOCUS]: [
+					{ target: TooltipStates.VISIBLE, cond: isTargetedTooltip },
+					TooltipStates.FOCUSED,
+				],
+				[TooltipEvents.MOUSEENTER]: [
+					{ target: TooltipStates.VISIBLE, cond: isTargetedTooltip },
+					TooltipStates.FOCUSED,
+				],
+				// NOTE(joel): Leaving another trigger, e.g. while a tooltip is shown
+				// imperatively, doesn't hide the visible tooltip.
+				[TooltipEvents.MOUSELEAVE]: {
+					target: TooltipStates.LEAVINGVISIBLE,
+					cond: isTargetedTooltip,
+				},
 				[TooltipEvents.BLUR]: TooltipStates.LEAVINGVISIBLE,
 				[TooltipEvents.MOUSEDOWN]: TooltipStates.DISMISSED,
-				[TooltipEvents.SELECTWITHKEYBOARD]: TooltipStates.DISMISSED,
+				// NOTE(joel): Tooltips shown imperatively or by a click may never
+				// receive the `MOUSE_LEAVE` or `BLUR` that brings us back from being
+				// dismissed.
+				[TooltipEvents.SELECTWITHKEYBOARD]: [
+					{ target: TooltipStates.IDLE, cond: isImperative },
+					TooltipStates.DISMISSED,
+				],
 				[TooltipEvents.GLOBALMOUSEMOVE]: TooltipStates.LEAVINGVISIBLE,
+				[TooltipEvents.TOUCHEND]: TooltipStates.LEAVINGVISIBLE,
+				[TooltipEvents.POPUPLEAVE]: {
+					target: TooltipStates.LEAVINGVISIBLE,
+					cond: isTargetedTooltip,
+				},
+				[TooltipEvents.SHOW]: TooltipStates.VISIBLE,
+				[TooltipEvents.CLICK]: [
+					{ target: TooltipStates.IDLE, cond: isTargetedTooltip },
+					TooltipStates.VISIBLE,
+				],
+				[TooltipEvents.HIDE]: {
+					target: TooltipStates.IDLE,
+					cond: isTargetedTooltip,
+				},
 			},
 		},
 		[TooltipStates.LEAVINGVISIBLE]: {
 			enter: startLeavingVisibleTimer,
-			leave: () => {
-				clearLeavingVisibleTimer();
-				clearContextId();
+			leave: (context, event, machine) => {
+				clearLeavingVisibleTimer(context, event, machine);
+				clearContextId(context);
 			},
 			on: {
-				[TooltipEvents.MOUSEENTER]: TooltipStates.VISIBLE,
+				// NOTE(joel): Moving on to a neighbouring tooltip of the same group
+				// shows it right away. Others have to wait for their rest delay.
+				[TooltipEvents.MOUSEENTER]: [
+					{ target: TooltipStates.VISIBLE, cond: isSameGroup },
+					{ target: TooltipStates.VISIBLE, cond: shouldSkipDelay },
+					TooltipStates.FOCUSED,
+				],
 				[TooltipEvents.FOCUS]: TooltipStates.VISIBLE,
+				[TooltipEvents.LONGPRESS]: TooltipStates.VISIBLE,
+				[TooltipEvents.POPUPENTER]: TooltipStates.VISIBLE,
 				[TooltipEvents.TIMECOMPLETE]: TooltipStates.IDLE,
+				[TooltipEvents.TOUCHEND]: TooltipStates.IDLE,
+				// NOTE(joel): The pointer or focus has left already, so we won't
+				// receive the events that bring us back from being dismissed.
+				[TooltipEvents.SELECTWITHKEYBOARD]: {
+					target: TooltipStates.IDLE,
+					cond: isWcagCompliant,
+				},
+				[TooltipEvents.SHOW]: TooltipStates.VISIBLE,
+				[TooltipEvents.CLICK]: TooltipStates.VISIBLE,
+				[TooltipEvents.HIDE]: {
+					target: TooltipStates.IDLE,
+					cond: isTargetedTooltip,
+				},
 			},
 		},
 		[TooltipStates.DISMISSED]: {
-			leave: () => {
-				clearContextId();
-			},
+			leave: clearContextId,
 			on: {
 				[TooltipEvents.MOUSELEAVE]: TooltipStates.IDLE,
 				[TooltipEvents.BLUR]: TooltipStates.IDLE,
+				[TooltipEvents.TOUCHEND]: TooltipStates.IDLE,
+				[TooltipEvents.SHOW]: TooltipStates.VISIBLE,
+				[TooltipEvents.CLICK]: TooltipStates.VISIBLE,
+				[TooltipEvents.HIDE]: {
+					target: TooltipStates.IDLE,
+					cond: isTargetedTooltip,
+				},
 			},
 		},
 	},
@@ -142,53 +323,40 @@ const chart = {
 ////////////////////////////////////////////////////////////////////////////////
 
 /**
- * Global state used by the state chart.
- * @type {{value: TooltipStates, context: StateContext}}
+ * mergeChart merges `overrides` into the `base` chart. States are merged
+ * shallowly, while their transitions are merged per event. This allows us to
+ * replace single transitions or actions w/o re-declaring whole states.
+ * @param {StateChart} base
+ * @param {StateChartOverrides} [overrides]
+ * @returns {StateChart}
  */
-let state = {
-	value: chart.initial,
-	context: { id: null },
-};
-
-////////////////////////////////////////////////////////////////////////////////
+function mergeChart(base, overrides = {}) {
+	const states = { ...base.states };
+	Object.entries(overrides.states || {}).forEach(([name, stateDef]) => {
+		const baseDef = states[name] || {};
+		states[name] = {
+			...baseDef,
+			...stateDef,
+			on: { ...baseDef.on, ...stateDef.on },
+		};
+	});
 
-/**
- * clearContextId clears the current tootlip id inside our global state context.
- * This allows us to come on back later w/o entering something else first after
- * the user leaves or dismisses.
- */
-function clearContextId() {
-	state.context.id = null;
+	return {
+		initial: overrides.initial ?? base.initial,
+		states,
+	};
 }
 
 ////////////////////////////////////////////////////////////////////////////////
 
-// NOTE(joel): Instead if requiring a wrapping <TooltipProvider> and use React
-// context to notify single tooltips on changes, we manage subscriptions
-// ourselves.
-
-/** @type {Function[]} */
-let subscriptions = [];
-
-/**
- * subscribe adds `fn` to the list of subscriptions. It returns a clean-up
- * function to remove `fn`.
- * @param {Function} fn
- * @returns {() => void}
- */
-function subscribe(fn) {
-	subscriptions.push(fn);
-	return () => {
-		subscriptions.splice(subscriptions.indexOf(fn), 1);
-	};
-}
-
 /**
- * notify iterates through the list of subscriptions and calls each listener
- * with the current global `state`.
+ * clearContextId clears the current tootlip id inside our state context.
+ * This allows us to come on back later w/o entering something else first after
+ * the user leaves or dismisses.
+ * @param {StateContext} context
  */
-function notify() {
-	subscriptions.forEach(fn => fn(state));
+function clearContextId(context) {
+	context.id = null;
 }
 
 ////////////////////////////////////////////////////////////////////////////////
@@ -202,32 +370,38 @@ function notify() {
 /**
  * transition gets the next state from our state maschine and calls associated
  * `leave` and `enter` actions.
+ * @param {StateChart} chart
+ * @param {TooltipMachine} machine
  * @param {StateObject} currentState
  * @param {MachineEvent} event
  * @returns {StateObject & { changed: boolean }}
  */
-function transition(currentState, event) {
+function transition(chart, machine, currentState, event) {
 	const stateDef = chart.states[currentState.value];
-	const nextState = stateDef?.on?.[event.type];
-
-	// DEBUG
-	// console.log({ event, state, nextState, contextId: context.id });
-	// !nextState && console.log("no transition taken");
+	// NOTE(joel): An event may map to a list of transitions. We take the first
+	// one whose guard passes.
+	const transitions = [].concat(stateDef?.on?.[event.type] ?? []);
+	const nextState = transitions.find(
+		candidate =>
+			typeof candidate === 'string' ||
+			!candidate.cond ||
+			candidate.cond(currentState.context, event),
+	);
 
 	if (!nextState) return { ...currentState, changed: false };
 
 	if (stateDef && stateDef.leave) {
-		stateDef.leave(currentState.context, event);
+		stateDef.leave(currentState.context, event, machine);
 	}
 
 	const { type: _, ...payload } = event;
-	const context = { ...state.context, ...payload };
+	const context = { ...currentState.context, ...payload };
 
 	const nextStateValue =
 		typeof nextState === 'string' ? nextState : nextState.target;
 	const nextDef = chart.states[nextStateValue];
 	if (nextDef && nextDef.enter) {
-		nextDef.enter(currentState.context, event);
+		nextDef.enter(context, event, machine);
 	}
 
 	return {
@@ -237,103 +411,626 @@ function transition(currentState, event) {
 	};
 }
 
+////////////////////////////////////////////////////////////////////////////////
+
 /**
- * send sends an event to our state machine to find the next state from
- * the current state + action. It also manages lifecycles of the machine
- * (e.g. enter/leave hooks on the state chart).
- * @param {MachineEvent} event
+ * @typedef {Object} TooltipMachine
+ * @prop {() => StateObject} getState
+ * @prop {(fn: Function) => () => void} subscribe
+ * @prop {(event: MachineEvent) => void} send
+ * @prop {(name: string, delay: number, event: MachineEvent) => void} startTimer
+ * @prop {(name: string) => void} clearTimer
+ * @prop {() => void} clearTimers
+ * @prop {(id: string, initial?: boolean) => boolean} isTooltipVisible
+ * @prop {(listener: InspectionListener) => () => void} inspect
+ */
+
+/**
+ * @typedef {Object} Inspection
+ * @prop {MachineEvent} event
+ * @prop {StateObject} prevState
+ * @prop {StateObject} nextState
+ * @prop {boolean} changed
+ * @prop {string?} contextId
+ * @prop {string[]} timers Names of the timers running after the event
+ */
+
+/** @typedef {(inspection: Inspection) => void} InspectionListener */
+
+/**
+ * createTooltipMachine creates an instance of our state machine. Each instance
+ * holds its own state, subscriptions and timers.
+ * `chartOverrides` are merged into the default chart, e.g. to add guards,
+ * states or custom events. Custom events are dispatched through `send`.
+ * @param {StateChartOverrides} [chartOverrides]
+ * @returns {TooltipMachine}
  */
-function send(event) {
-	let { value, context, changed } = transition(state, event);
-	if (changed) {
-		state = { value, context };
-		notify();
+export function createTooltipMachine(chartOverrides) {
+	const chart = mergeChart(defaultChart, chartOverrides);
+
+	/** @type {StateObject} */
+	let state = {
+		value: chart.initial,
+		context: { id: null },
+	};
+
+	// NOTE(joel): Instead of using React context to notify single tooltips on
+	// changes, we manage subscriptions ourselves.
+
+	/** @type {Function[]} */
+	let subscriptions = [];
+
+	// NOTE(joel): Most subscribers are tooltips that only care about changes
+	// of their own visibility. We notify them only if they have been active
+	// before or after a transition, so that thousands of mounted tooltips don't
+	// slow down each transition.
+	/** @type {Map<string, Set<Function>>} */
+	let idSubscriptions = new Map();
+
+	/** @type {InspectionListener[]} */
+	let inspectors = [];
+
+	/** @type {{[name: string]: number}} */
+	let timers = {};
+
+	/**
+	 * subscribe adds `fn` to the list of subscriptions. If an `id` is given,
+	 * `fn` is only called for transitions from or to the tooltip with that id.
+	 * It returns a clean-up function to remove `fn`.
+	 * @param {Function} fn
+	 * @param {string} [id]
+	 * @returns {() => void}
+	 */
+	function subscribe(fn, id) {
+		if (id == null) {
+			subscriptions.push(fn);
+			return () => {
+				subscriptions.splice(subscriptions.indexOf(fn), 1);
+			};
+		}
+
+		let fns = idSubscriptions.get(id);
+		if (!fns) {
+			fns = new Set();
+			idSubscriptions.set(id, fns);
+		}
+		fns.add(fn);
+		return () => {
+			fns.delete(fn);
+			if (fns.size === 0 && idSubscriptions.get(id) === fns) {
+				idSubscriptions.delete(id);
+			}
+		};
+	}
+
+	/**
+	 * inspect adds `listener` to the list of inspectors. Unlike subscriptions,
+	 * inspectors are called for every event, even if no transition is taken.
+	 * It returns a clean-up function to remove `listener`.
+	 * @param {InspectionListener} listener
+	 * @returns {() => void}
+	 */
+	function inspect(listener) {
+		inspectors.push(listener);
+		return () => {
+			inspectors.splice(inspectors.indexOf(listener), 1);
+		};
+	}
+
+	/**
+	 * notify iterates through the list of subscriptions and calls each listener
+	 * with the current `state` and the event that caused the change. Of the
+	 * subscriptions for single tooltips, only those of the previously and newly
+	 * active tooltip are called.
+	 * @param {MachineEvent} event
+	 * @param {string?} prevId
+	 */
+	function notify(event, prevId) {
+		subscriptions.slice().forEach(fn => fn(state, event));
+		new Set([prevId, state.context.id]).forEach(id => {
+			const fns = id != null && idSubscriptions.get(id);
+			if (fns) Array.from(fns).forEach(fn => fn(state, event));
+		});
+	}
+
+	/**
+	 * send sends an event to our state machine to find the next state from
+	 * the current state + action. It also manages lifecycles of the machine
+	 * (e.g. enter/leave hooks on the state chart).
+	 * @param {MachineEvent} event
+	 */
+	function send(event) {
+		// NOTE(joel): `leave` actions may mutate the current context (e.g. clear
+		// its id), hence we snapshot it up front.
+		const prevState = { value: state.value, context: { ...state.context } };
+		const prevId = prevState.context.id;
+		let { value, context, changed } = transition(chart, machine, state, event);
+		if (changed) state = { value, context };
+
+		if (inspectors.length > 0) {
+			const inspection = {
+				event,
+				prevState,
+				nextState: state,
+				changed,
+				contextId: state.context.id ?? null,
+				timers: Object.keys(timers),
+			};
+			inspectors.slice().forEach(fn => fn(inspection));
+		}
+
+		if (changed) notify(event, prevId);
+	}
+
+	/**
+	 * startTimer sends `event` after `delay` ms. Starting a timer with the same
+	 * `name` again restarts it.
+	 * @param {string} name
+	 * @param {number} delay
+	 * @param {MachineEvent} event
+	 */
+	function startTimer(name, delay, event) {
+		clearTimer(name);
+		timers[name] = window.setTimeout(() => {
+			delete timers[name];
+			send(event);
+		}, delay);
+	}
+
+	/**
+	 * clearTimer clears the timer with the given `name`.
+	 * @param {string} name
+	 */
+	function clearTimer(name) {
+		window.clearTimeout(timers[name]);
+		delete timers[name];
+	}
+
+	/**
+	 * clearTimers clears all running timers.
+	 */
+	function clearTimers() {
+		Object.keys(timers).forEach(clearTimer);
+	}
+
+	/**
+	 * isTooltipVisible
+	 * @param {string} id
+	 * @param {boolean} [initial]
+	 */
+	function isTooltipVisible(id, initial) {
+		return (
+			state.context.id === id &&
+			(initial
+				? state.value === TooltipStates.VISIBLE
+				: state.value === TooltipStates.VISIBLE ||
+				  state.value === TooltipStates.LEAVINGVISIBLE)
+		);
 	}
+
+	const machine = {
+		getState: () => state,
+		subscribe,
+		send,
+		startTimer,
+		clearTimer,
+		clearTimers,
+		isTooltipVisible,
+		inspect,
+	};
+	return machine;
+}
+
+/**
+ * Global state machine used by all tooltips that are not rendered inside of a
+ * <TooltipProvider>.
+ */
+const globalMachine = createTooltipMachine();
+
+/**
+ * subscribeToTooltipMachine calls `listener` for every event sent to
+ * `machine`, e.g. to debug why a tooltip didn't show. It defaults to the
+ * global state machine and returns a clean-up function.
+ * @param {InspectionListener} listener
+ * @param {TooltipMachine} [machine]
+ * @returns {() => void}
+ */
+export function subscribeToTooltipMachine(listener, machine = globalMachine) {
+	return machine.inspect(listener);
+}
+
+/**
+ * createTooltipApi returns functions to show and hide tooltips of `machine` by
+ * their `id`, e.g. to flash a confirmation after an async action. Tooltips
+ * shown this way hide after `duration` ms, if given. The user interacting with
+ * any trigger takes over as usual.
+ * @param {TooltipMachine} machine
+ * @returns {TooltipApi}
+ */
+export function createTooltipApi(machine) {
+	return {
+		show(id, { duration } = {}) {
+			// NOTE(joel): A state machine must not carry state from one server
+			// request over to the next.
+			if (!canUseDOM()) return;
+			// NOTE(joel): Don't inherit delays, the group or the compliance mode
+			// of the tooltip that has been active before.
+			machine.send({
+				type: TooltipEvents.SHOW,
+				id,
+				duration,
+				imperative: true,
+				wcag: false,
+				openDelay: undefined,
+				closeDelay: undefined,
+				group: undefined,
+			});
+		},
+		hide(id) {
+			if (id == null || !canUseDOM()) return;
+			machine.send({ type: TooltipEvents.HIDE, id });
+		},
+		hideAll() {
+			if (!canUseDOM()) return;
+			machine.send({ type: TooltipEvents.HIDE });
+		},
+	};
 }
 
+/**
+ * @typedef {Object} TooltipApi
+ * @prop {(id: string, options?: { duration?: number }) => void} show
+ * @prop {(id: string) => void} hide
+ * @prop {() => void} hideAll
+ */
+
+/**
+ * tooltip shows and hides tooltips of the global state machine.
+ */
+export const tooltip = createTooltipApi(globalMachine);
+
 ////////////////////////////////////////////////////////////////////////////////
 
 export const REST_TIMEOUT = 100;
 
-/** @type {number} */
-let restTimeout;
-
 /**
  * startRestTimer manages the delay before the tooltip enters the rest state.
+ * The delay is taken from the tooltip that is currently active.
+ * @type {ActionFunction}
  */
-function startRestTimer() {
-	window.clearTimeout(restTimeout);
-	restTimeout = window.setTimeout(() => {
-		send({ type: TooltipEvents.REST });
-	}, REST_TIMEOUT);
+function startRestTimer(context, _, machine) {
+	machine.startTimer('rest', context.openDelay ?? REST_TIMEOUT, {
+		type: TooltipEvents.REST,
+	});
 }
 
 /**
  * clearRestTimer clears the timeout that manages the delay before the tooltip
  * enters the rest state.
+ * @type {ActionFunction}
  */
-function clearRestTimer() {
-	window.clearTimeout(restTimeout);
+function clearRestTimer(_, __, machine) {
+	machine.clearTimer('rest');
 }
 
 ////////////////////////////////////////////////////////////////////////////////
 
 export const LEAVE_TIMEOUT = 500;
 
-/** @type {number} */
-let leavingVisibleTimer;
-
 /**
  * startLeavingVisibleTimer manages the delay to hide the tooltip after
- * rest leaves.
+ * rest leaves. The delay is taken from the tooltip that is currently active.
+ * @type {ActionFunction}
  */
-function startLeavingVisibleTimer() {
-	window.clearTimeout(leavingVisibleTimer);
-	leavingVisibleTimer = window.setTimeout(
-		() => send({ type: TooltipEvents.TIMECOMPLETE }),
-		LEAVE_TIMEOUT,
-	);
+function startLeavingVisibleTimer(context, _, machine) {
+	machine.startTimer('leavingVisible', context.closeDelay ?? LEAVE_TIMEOUT, {
+		type: TooltipEvents.TIMECOMPLETE,
+	});
 }
 
 /**
  * clearLeavingVisibleTimer clears the timeout that manages the delay to hide
  * the tooltip after rest leaves.
+ * @type {ActionFunction}
  */
-function clearLeavingVisibleTimer() {
-	window.clearTimeout(leavingVisibleTimer);
+function clearLeavingVisibleTimer(_, __, machine) {
+	machine.clearTimer('leavingVisible');
 }
 
 ////////////////////////////////////////////////////////////////////////////////
 
 /**
- * isTooltipVisible
- * @param {string} id
- * @param {boolean} [initial]
+ * startDurationTimer hides a tooltip shown through the imperative `tooltip`
+ * API after the given `duration`.
+ * @type {ActionFunction}
+ */
+function startDurationTimer(context, event, machine) {
+	if (event.type !== TooltipEvents.SHOW || event.duration == null) return;
+	machine.startTimer('duration', event.duration, {
+		type: TooltipEvents.HIDE,
+		id: context.id,
+	});
+}
+
+/**
+ * clearDurationTimer clears the timeout that hides a tooltip shown through the
+ * imperative `tooltip` API.
+ * @type {ActionFunction}
+ */
+function clearDurationTimer(_, __, machine) {
+	machine.clearTimer('duration');
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+export const LONG_PRESS_TIMEOUT = 500;
+
+/**
+ * Distance in px a touch pointer may move before we consider the gesture a
+ * scroll instead of a long-press.
+ */
+const LONG_PRESS_TOLERANCE = 10;
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} TooltipTheme
+ * @prop {React.CSSProperties['backgroundColor']} [backgroundColor]
+ * @prop {React.CSSProperties['border']} [border]
+ * @prop {React.CSSProperties['zIndex']} [zIndex]
+ */
+
+/**
+ * The visual styles of <TooltipContent>. Any other CSS property may be added
+ * by a theme as well.
+ * @type {TooltipTheme}
+ */
+const DEFAULT_THEME = {
+	zIndex: 1,
+	backgroundColor: 'white',
+	border: '1px solid #ccc',
+};
+
+/**
+ * @typedef {Object} TooltipContextValue
+ * @prop {TooltipMachine} [machine]
+ * @prop {number} [openDelay]
+ * @prop {number} [closeDelay]
+ * @prop {TooltipTheme} [theme]
+ * @prop {number} [zIndex]
+ */
+
+/** @type {React.Context<TooltipContextValue>} */
+const TooltipContext = createNamedContext('TooltipContext', {});
+
+/**
+ * TooltipProvider sets defaults for all tooltips inside its subtree. Nested
+ * providers inherit all values they don't override.
+ * Tooltips share the state machine of their parent provider, or the global
+ * one. Pass `isolated` to create a state machine instance for the subtree
+ * instead, so that e.g. tooltips of multiple React roots on the same page
+ * don't interfere with each other.
+ * A custom state machine created by `createTooltipMachine` may be passed as
+ * `machine`. It takes precedence over `isolated` and a parent provider.
+ * A `theme` overrides the visual styles of tooltips. It is merged with the
+ * theme of a parent provider. `zIndex` is the base z-index of all tooltips
+ * outside of a <TooltipLayer>.
+ * @param {Object} props
+ * @param {React.ReactNode} props.children
+ * @param {TooltipMachine} [props.machine]
+ * @param {boolean} [props.isolated]
+ * @param {number} [props.openDelay]
+ * @param {number} [props.closeDelay]
+ * @param {TooltipTheme} [props.theme]
+ * @param {number} [props.zIndex]
+ */
+export function TooltipProvider({
+	children,
+	machine: machineProp,
+	isolated = false,
+	openDelay,
+	closeDelay,
+	theme,
+	zIndex,
+}) {
+	const parentContext = React.useContext(TooltipContext);
+	const parentOpenDelay = parentContext.openDelay;
+	const parentCloseDelay = parentContext.closeDelay;
+	const parentTheme = parentContext.theme;
+	const parentZIndex = parentContext.zIndex;
+
+	const [ownMachine] = React.useState(() =>
+		isolated && !machineProp ? createTooltipMachine() : null,
+	);
+	const machine = machineProp || ownMachine || parentContext.machine;
+
+	// NOTE(joel): Don't leave timers of our own machine behind once we unmount.
+	React.useEffect(() => {
+		if (!ownMachine) return;
+		return () => ownMachine.clearTimers();
+	}, [ownMachine]);
+
+	const context = React.useMemo(
+		() => ({
+			machine,
+			openDelay: openDelay ?? parentOpenDelay,
+			closeDelay: closeDelay ?? parentCloseDelay,
+			theme:
+				theme && parentTheme
+					? { ...parentTheme, ...theme }
+					: theme ?? parentTheme,
+			zIndex: zIndex ?? parentZIndex,
+		}),
+		[
+			machine,
+			openDelay,
+			closeDelay,
+			theme,
+			zIndex,
+			parentOpenDelay,
+			parentCloseDelay,
+			parentTheme,
+			parentZIndex,
+		],
+	);
+
+	return (
+		<TooltipContext.Provider value={context}>
+			{children}
+		</TooltipContext.Provider>
+	);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+export const SKIP_DELAY_TIMEOUT = 300;
+
+/**
+ * @typedef {Object} TooltipGroupValue
+ * @prop {boolean} isWarm
+ */
+
+/** @type {React.Context<TooltipGroupValue?>} */
+const TooltipGroupContext = createNamedContext('TooltipGroupContext', null);
+
+/**
+ * TooltipGroup groups neighbouring tooltips, e.g. of a toolbar. Once any
+ * tooltip of the group has been visible, the others show w/o their rest delay
+ * until `skipDelayDuration` ms after it has been hidden.
+ * @param {Object} props
+ * @param {React.ReactNode} props.children
+ * @param {number} [props.skipDelayDuration]
+ */
+export function TooltipGroup({
+	children,
+	skipDelayDuration = SKIP_DELAY_TIMEOUT,
+}) {
+	const tooltipContext = React.useContext(TooltipContext);
+	const machine = tooltipContext.machine || globalMachine;
+	const [group] = React.useState(() => ({ isWarm: false }));
+
+	React.useEffect(() => {
+		let wasOpen = false;
+		/** @type {number} */
+		let skipDelayTimer;
+
+		const unsubscribe = machine.subscribe(state => {
+			const isOpen =
+				state.context.group === group &&
+				(state.value === TooltipStates.VISIBLE ||
+					state.value === TooltipStates.LEAVINGVISIBLE);
+			if (isOpen === wasOpen) return;
+			wasOpen = isOpen;
+
+			window.clearTimeout(skipDelayTimer);
+			if (isOpen) {
+				group.isWarm = true;
+			} else {
+				skipDelayTimer = window.setTimeout(() => {
+					group.isWarm = false;
+				}, skipDelayDuration);
+			}
+		});
+
+		return () => {
+			unsubscribe();
+			window.clearTimeout(skipDelayTimer);
+		};
+	}, [machine, group, skipDelayDuration]);
+
+	return (
+		<TooltipGroupContext.Provider value={group}>
+			{children}
+		</TooltipGroupContext.Provider>
+	);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} TooltipLayerValue
+ * @prop {number} zIndex
+ */
+
+/** @type {React.Context<TooltipLayerValue?>} */
+const TooltipLayerContext = createNamedContext('TooltipLayerContext', null);
+
+/**
+ * TooltipLayer marks a stacked layer of the page, e.g. a dialog or a dropdown
+ * menu, with the `zIndex` it is rendered at. Tooltips inside of it are
+ * rendered right above it.
+ * @param {Object} props
+ * @param {React.ReactNode} props.children
+ * @param {number} props.zIndex
  */
-function isTooltipVisible(id, initial) {
+export function TooltipLayer({ children, zIndex }) {
+	const layer = React.useMemo(() => ({ zIndex }), [zIndex]);
 	return (
-		state.context.id === id &&
-		(initial
-			? state.value === TooltipStates.VISIBLE
-			: state.value === TooltipStates.VISIBLE ||
-			  state.value === TooltipStates.LEAVINGVISIBLE)
+		<TooltipLayerContext.Provider value={layer}>
+			{children}
+		</TooltipLayerContext.Provider>
 	);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
 
+/**
+ * @typedef {(open: boolean, reason: TooltipEvent) => void} OpenChangeHandler
+ */
+
+/** @typedef {'hover' | 'focus' | 'focus-visible' | 'click' | 'manual'} TooltipTrigger */
+
+/** @type {TooltipTrigger[]} */
+const DEFAULT_TRIGGERS = ['hover', 'focus'];
+
+/** @typedef {'escape' | 'keypress' | 'pointerdown' | 'pointerdown-outside'} TooltipDismissal */
+
+/**
+ * Tooltips either describe their trigger, or name it, e.g. for icon-only
+ * buttons.
+ * @typedef {'description' | 'label'} TooltipType
+ */
+
+/** @type {TooltipDismissal[]} */
+const DEFAULT_DISMISS_ON = [
+	'escape',
+	'keypress',
+	'pointerdown',
+	'pointerdown-outside',
+];
+
 /**
  * useTooltip
  * @param {Object} [params={}]
  * @param {string} [params.id]
+ * @param {boolean} [params.isOpen]
+ * @param {boolean} [params.defaultOpen]
+ * @param {OpenChangeHandler} [params.onOpenChange]
+ * @param {number} [params.openDelay]
+ * @param {number} [params.closeDelay]
+ * @param {TooltipTrigger[]} [params.triggers]
+ * @param {TooltipDismissal[]} [params.dismissOn]
+ * @param {(event: KeyboardEvent) => void} [params.onEscapeKeyDown]
+ * @param {(event: PointerEvent | MouseEvent) => void} [params.onPointerDownOutside]
+ * @param {boolean} [params.touch]
+ * @param {number} [params.longPressDelay]
+ * @param {boolean} [params.interactive]
+ * @param {boolean} [params.wcag]
+ * @param {VirtualElement} [params.virtualAnchor]
+ * @param {boolean | 'x' | 'y'} [params.followCursor]
+ * @param {TooltipType} [params.type]
  * @param {React.ReactEventHandler} [params.onPointerEnter]
  * @param {React.ReactEventHandler} [params.onPointerMove]
  * @param {React.ReactEventHandler} [params.onPointerLeave]
  * @param {React.ReactEventHandler} [params.onPointerDown]
+ * @param {React.ReactEventHandler} [params.onPointerUp]
+ * @param {React.ReactEventHandler} [params.onPointerCancel]
+ * @param {React.ReactEventHandler} [params.onContextMenu]
  * @param {React.ReactEventHandler} [params.onMouseEnter]
  * @param {React.ReactEventHandler} [params.onMouseMove]
  * @param {React.ReactEventHandler} [params.onMouseLeave]
  * @param {React.ReactEventHandler} [params.onMouseDown]
+ * @param {React.ReactEventHandler} [params.onClick]
  * @param {React.ReactEventHandler} [params.onFocus]
  * @param {React.ReactEventHandler} [params.onBlur]
  * @param {React.ReactEventHandler} [params.onKeyDown]
@@ -343,62 +1040,296 @@ function isTooltipVisible(id, initial) {
  */
 export function useTooltip({
 	id: idProp,
+	isOpen: isOpenProp,
+	defaultOpen = false,
+	onOpenChange,
+	openDelay: openDelayProp,
+	closeDelay: closeDelayProp,
+	triggers = DEFAULT_TRIGGERS,
+	dismissOn = DEFAULT_DISMISS_ON,
+	onEscapeKeyDown,
+	onPointerDownOutside,
+	touch = false,
+	longPressDelay = LONG_PRESS_TIMEOUT,
+	interactive: interactiveProp = false,
+	wcag = false,
+	virtualAnchor,
+	followCursor = false,
+	type = 'description',
 	onPointerEnter,
 	onPointerMove,
 	onPointerLeave,
 	onPointerDown,
+	onPointerUp,
+	onPointerCancel,
+	onContextMenu,
 	onMouseEnter,
 	onMouseMove,
 	onMouseLeave,
 	onMouseDown,
+	onClick,
 	onFocus,
 	onBlur,
 	onKeyDown,
 	disabled,
 	ref: parentRef,
 }) {
-	const id = String(useId(idProp));
-	const [isVisible, setIsVisible] = React.useState(isTooltipVisible(id, true));
+	const autoId = useId(idProp);
+	const id = String(autoId);
+	// NOTE(joel): Tooltips are never visible on the server and during
+	// hydration, so that the markup of both always matches.
+	const isHydrated = useIsHydrated();
+	// NOTE(joel): Auto-generated ids aren't known on the server. We rather
+	// leave the trigger w/o a name until hydration than reference the label
+	// of another tooltip.
+	const labelId =
+		type === 'label' && autoId != null && (idProp != null || isHydrated)
+			? makeId('tooltip-label', id)
+			: undefined;
+
+	const tooltipContext = React.useContext(TooltipContext);
+	const machine = tooltipContext.machine || globalMachine;
+	const { send } = machine;
+	const openDelay = openDelayProp ?? tooltipContext.openDelay ?? REST_TIMEOUT;
+	const closeDelay =
+		closeDelayProp ?? tooltipContext.closeDelay ?? LEAVE_TIMEOUT;
+
+	// NOTE(joel): Every event that activates this tooltip carries its delays
+	// and group, so that the timers and guards of our shared state machine
+	// honor them.
+	const group = React.useContext(TooltipGroupContext);
+	const activation = {
+		id,
+		openDelay,
+		closeDelay,
+		group,
+		imperative: false,
+		wcag,
+	};
+
+	// NOTE(joel): `manual` tooltips don't react to any interaction. They are
+	// opened through `isOpen` or the imperative `tooltip` API only.
+	const hasHoverTrigger = triggers.includes('hover');
+	const hasClickTrigger = triggers.includes('click');
+	const hasFocusTrigger =
+		triggers.includes('focus') || triggers.includes('focus-visible');
+	// NOTE(joel): Focus caused by a pointer is ignored for `focus-visible`, as
+	// well as for `click`, where the click itself toggles the tooltip.
+	const ignoresPointerFocus = !triggers.includes('focus') || hasClickTrigger;
+	// NOTE(joel): Pressing the trigger dismisses tooltips opened by hover or
+	// focus. Clicks toggle the tooltip instead. W/o any hover or focus trigger,
+	// we'd never receive the events that bring us back from being dismissed.
+	const dismissesOnPress =
+		(hasHoverTrigger || hasFocusTrigger) && !hasClickTrigger;
+	const dismissesOnEscape = dismissOn.includes('escape');
+	// NOTE(joel): WCAG 1.4.13 requires content on hover or focus to be
+	// hoverable, dismissible and persistent.
+	// @see https://www.w3.org/WAI/WCAG21/Understanding/content-on-hover-or-focus
+	const interactive = interactiveProp || wcag;
+	const dismissesOnPointerDownOutside = dismissOn.includes(
+		'pointerdown-outside',
+	);
+	const handleEscapeKeyDown = useStableCallback(onEscapeKeyDown);
+	const handlePointerDownOutside = useStableCallback(onPointerDownOutside);
+
+	// NOTE(joel): In controlled mode the parent owns the open state. Transitions
+	// of our state machine are merely reported through `onOpenChange` as
+	// requests to open or close the tooltip.
+	const isControlled = isOpenProp != null;
+	const [isOpenState, setIsOpenState] = React.useState(
+		() => defaultOpen || machine.isTooltipVisible(id, true),
+	);
+	const isVisible =
+		isHydrated && (isControlled ? Boolean(isOpenProp) : isOpenState);
+	const handleOpenChange = useStableCallback(onOpenChange);
 
 	const ownRef = React.useRef();
 	const ref = useComposeRefs(parentRef, ownRef);
-	const triggerRect = useRect(ownRef, { observe: isVisible });
+	const { rect: elementRect, isHidden: isTriggerHidden } = useTriggerRect(
+		ownRef,
+		isVisible,
+	);
+
+	// NOTE(joel): The tooltip may point at a virtual anchor or the cursor
+	// instead of the trigger element, e.g. at a data point of a chart.
+	const [cursor, captureCursor] = useCursorPosition(followCursor);
+	const anchorRect = virtualAnchor
+		? isVisible
+			? virtualAnchor.getBoundingClientRect()
+			: null
+		: elementRect;
+	const triggerRect =
+		followCursor && cursor
+			? getCursorRect(anchorRect, cursor, followCursor)
+			: anchorRect;
+
+	// NOTE(joel): A controlled tooltip may be open w/o our state machine
+	// knowing about it. Request to close it nonetheless.
+	const isOpenControlled = isControlled && Boolean(isOpenProp);
+
+	const handleEscape = useStableCallback(
+		/**
+		 * @param {KeyboardEvent} event
+		 */
+		event => {
+			if (event.key !== 'Escape' && event.key !== 'Esc') return;
+			const isActive = isDismissibleByEscape(machine.getState(), id, wcag);
+			const isOpenOnlyControlled =
+				isOpenControlled && !machine.isTooltipVisible(id);
+			if (!isActive && !isOpenOnlyControlled) return;
+
+			handleEscapeKeyDown(event);
+			if (event.defaultPrevented) return;
+
+			if (isActive) {
+				machine.send({ type: TooltipEvents.SELECTWITHKEYBOARD });
+			} else {
+				handleOpenChange(false, TooltipEvents.SELECTWITHKEYBOARD);
+			}
+		},
+	);
+
+	// NOTE(joel): Only the tooltip that Escape dismisses listens for it, so
+	// that thousands of mounted tooltips don't run on every key press. We
+	// (un)register right when our state machine transitions, as a key press
+	// may arrive before we re-render.
+	const removeEscapeListenerRef = React.useRef(null);
+	const syncEscapeListener = useStableCallback(() => {
+		const shouldListen =
+			dismissesOnEscape &&
+			(isOpenControlled || isDismissibleByEscape(machine.getState(), id, wcag));
+		if (shouldListen === (removeEscapeListenerRef.current != null)) return;
+		if (shouldListen) {
+			removeEscapeListenerRef.current = addDocumentListener(
+				getOwnerDocument(ownRef.current),
+				'keydown',
+				handleEscape,
+			);
+		} else {
+			removeEscapeListenerRef.current();
+			removeEscapeListenerRef.current = null;
+		}
+	});
+
+	React.useEffect(() => {
+		syncEscapeListener();
+	}, [wcag, dismissesOnEscape, isOpenControlled, syncEscapeListener]);
 
-	// Subscribe to global state changes of our state machine
 	React.useEffect(
-		() =>
-			subscribe(() => {
-				setIsVisible(isTooltipVisible(id));
-			}),
-		[id],
+		() => () => {
+			removeEscapeListenerRef.current?.();
+			removeEscapeListenerRef.current = null;
+		},
+		[],
 	);
 
+	// NOTE(joel): `defaultOpen` tooltips become the active tooltip of our state
+	// machine once mounted, so that they close like any other tooltip. It has
+	// no pointer or focus to leave, just like imperatively shown tooltips.
+	const shouldOpenByDefaultRef = React.useRef(defaultOpen && !isControlled);
+	const openByDefault = useStableCallback(() => {
+		send({ type: TooltipEvents.SHOW, ...activation, imperative: true });
+	});
+
+	// Subscribe to global state changes of our state machine
+	React.useEffect(() => {
+		// NOTE(joel): We open before subscribing, as we are open already.
+		if (shouldOpenByDefaultRef.current) {
+			shouldOpenByDefaultRef.current = false;
+			openByDefault();
+		}
+		syncEscapeListener();
+		let wasVisible = machine.isTooltipVisible(id);
+		return machine.subscribe((_, event) => {
+			syncEscapeListener();
+			const nextVisible = machine.isTooltipVisible(id);
+			if (nextVisible === wasVisible) return;
+			wasVisible = nextVisible;
+			if (!isControlled) setIsOpenState(nextVisible);
+			handleOpenChange(nextVisible, event.type);
+		}, id);
+	}, [
+		machine,
+		id,
+		isControlled,
+		handleOpenChange,
+		openByDefault,
+		syncEscapeListener,
+	]);
+
+	useDisabledTriggerOnSafari({ machine, disabled, isVisible, ref: ownRef });
+
+	// NOTE(joel): Tooltips toggled by a click stay open until the user clicks
+	// the trigger again or presses anywhere outside of it.
 	React.useEffect(() => {
+		if (!hasClickTrigger || !dismissesOnPointerDownOutside || !isVisible) {
+			return;
+		}
 		let ownerDocument = getOwnerDocument(ownRef.current);
 		/**
-		 * @param {KeyboardEvent} event
+		 * @param {PointerEvent | MouseEvent} event
 		 */
 		function listener(event) {
 			if (
-				(event.key === 'Escape' || event.key === 'Esc') &&
-				state.value === TooltipStates.VISIBLE
+				containsNode(ownRef.current, event.target) ||
+				containsNode(popupRef.current, event.target) ||
+				machine.getState().context.id !== id
 			) {
-				send({ type: TooltipEvents.SELECTWITHKEYBOARD });
+				return;
 			}
+			handlePointerDownOutside(event);
+			if (event.defaultPrevented) return;
+			machine.send({ type: TooltipEvents.HIDE, id });
 		}
-		ownerDocument.addEventListener('keydown', listener);
-		return () => ownerDocument.removeEventListener('keydown', listener);
-	}, []);
-
-	useDisabledTriggerOnSafari({ disabled, isVisible, ref: ownRef });
+		const eventName = supportsPointerEvents() ? 'pointerdown' : 'mousedown';
+		return addDocumentListener(ownerDocument, eventName, listener);
+	}, [
+		machine,
+		id,
+		hasClickTrigger,
+		dismissesOnPointerDownOutside,
+		isVisible,
+		handlePointerDownOutside,
+	]);
+
+	// NOTE(joel): In touch mode, tapping anywhere outside of the trigger
+	// dismisses a tooltip that has been opened by a long-press.
+	React.useEffect(() => {
+		if (!touch || !dismissesOnPointerDownOutside || !isVisible) return;
+		let ownerDocument = getOwnerDocument(ownRef.current);
+		/**
+		 * @param {PointerEvent} event
+		 */
+		function listener(event) {
+			if (event.pointerType === 'mouse') return;
+			if (
+				containsNode(ownRef.current, event.target) ||
+				machine.getState().context.id !== id
+			) {
+				return;
+			}
+			handlePointerDownOutside(event);
+			if (event.defaultPrevented) return;
+			machine.send({ type: TooltipEvents.TOUCHEND });
+		}
+		return addDocumentListener(ownerDocument, 'pointerdown', listener);
+	}, [
+		machine,
+		id,
+		touch,
+		dismissesOnPointerDownOutside,
+		isVisible,
+		handlePointerDownOutside,
+	]);
 
 	function wrapMouseEvent(theirHandler, ourHandler) {
 		// NOTE(joel): Use internal MouseEvent handler only if PointerEvent is not
-		// supported
-		if (typeof window !== 'undefined' && 'PointerEvent' in window) {
-			return theirHandler;
-		}
-		return composeEventHandlers(theirHandler, ourHandler);
+		// supported. We check for support once the event fires, so that server
+		// and client render the same handlers.
+		return composeEventHandlers(theirHandler, event => {
+			if (supportsPointerEvents()) return;
+			ourHandler(event);
+		});
 	}
 
 	function wrapPointerEventHandler(handler) {
@@ -409,37 +1340,233 @@ export function useTooltip({
 		};
 	}
 
-	function handleMouseEnter() {
-		send({ type: TooltipEvents.MOUSEENTER, id });
+	function wrapTouchEventHandler(handler) {
+		return function onTouchEvent(event) {
+			// NOTE(joel): Handle touch and pen pointer events only in touch mode.
+			if (!touch || event.pointerType === 'mouse') return;
+			handler(event);
+		};
 	}
 
-	function handleMouseMove() {
-		send({ type: TooltipEvents.MOUSEMOVE, id });
+	const popupRef = React.useRef(null);
+	const stopSafePolygonRef = React.useRef(null);
+
+	/**
+	 * isInPopup checks if `node` is a part of our interactive popup.
+	 * @param {Node?} node
+	 * @returns {boolean}
+	 */
+	function isInPopup(node) {
+		return interactive && containsNode(popupRef.current, node);
 	}
 
-	function handleMouseLeave() {
-		send({ type: TooltipEvents.MOUSELEAVE });
+	/**
+	 * startSafePolygon keeps an interactive tooltip open while the pointer
+	 * travels from the point where it left the trigger towards the popup. Once
+	 * the pointer leaves the area spanned by that point and the popup, we treat
+	 * it as if it just left the trigger.
+	 * @param {{ x: number, y: number }} exitPoint
+	 */
+	function startSafePolygon(exitPoint) {
+		stopSafePolygon();
+		let ownerDocument = getOwnerDocument(ownRef.current);
+		/**
+		 * @param {MouseEvent} event
+		 */
+		function listener(event) {
+			if (!machine.isTooltipVisible(id) || !popupRef.current) {
+				stopSafePolygon();
+				return;
+			}
+			const point = { x: event.clientX, y: event.clientY };
+			const popupRect = popupRef.current.getBoundingClientRect();
+			if (isInSafePolygon(point, exitPoint, popupRect)) return;
+			stopSafePolygon();
+			send({ type: TooltipEvents.MOUSELEAVE, id });
+		}
+		stopSafePolygonRef.current = addDocumentListener(
+			ownerDocument,
+			'mousemove',
+			listener,
+		);
+	}
+
+	function stopSafePolygon() {
+		stopSafePolygonRef.current?.();
+		stopSafePolygonRef.current = null;
+	}
+
+	React.useEffect(() => stopSafePolygon, []);
+
+	// NOTE(joel): Compliant tooltips persist until both the pointer and focus
+	// have left, no matter which one has shown them.
+	const isHoveredRef = React.useRef(false);
+	const isFocusedRef = React.useRef(false);
+
+	/**
+	 * isPersisting checks whether the pointer or focus (`interactionRef`) that
+	 * is still on our trigger keeps a compliant tooltip open. Dismissed
+	 * tooltips must leave `DISMISSED` on the first one leaving, as we'd get
+	 * stuck there otherwise.
+	 * @param {React.MutableRefObject<boolean>} interactionRef
+	 * @returns {boolean}
+	 */
+	function isPersisting(interactionRef) {
+		return (
+			wcag &&
+			interactionRef.current &&
+			machine.getState().value !== TooltipStates.DISMISSED
+		);
+	}
+
+	function handleMouseEnter(event) {
+		captureCursor(event);
+		if (!hasHoverTrigger) return;
+		isHoveredRef.current = true;
+		stopSafePolygon();
+		// NOTE(joel): The pointer came back from our interactive popup.
+		if (interactive && machine.isTooltipVisible(id, true)) return;
+		send({
+			type: TooltipEvents.MOUSEENTER,
+			...activation,
+			skipDelay: Boolean(group?.isWarm),
+		});
+	}
+
+	function handleMouseMove(event) {
+		captureCursor(event);
+		if (!hasHoverTrigger) return;
+		send({ type: TooltipEvents.MOUSEMOVE, ...activation });
+	}
+
+	function handleMouseLeave(event) {
+		if (!hasHoverTrigger) return;
+		isHoveredRef.current = false;
+		if (isPersisting(isFocusedRef)) return;
+		if (
+			interactive &&
+			popupRef.current &&
+			machine.isTooltipVisible(id, true) &&
+			!isInPopup(event.relatedTarget)
+		) {
+			startSafePolygon({ x: event.clientX, y: event.clientY });
+			return;
+		}
+		if (isInPopup(event.relatedTarget)) return;
+		send({ type: TooltipEvents.MOUSELEAVE, id });
+	}
+
+	function handlePopupEnter() {
+		stopSafePolygon();
+		send({ type: TooltipEvents.POPUPENTER, ...activation });
+	}
+
+	function handlePopupLeave(event) {
+		// NOTE(joel): Moving back to the trigger keeps the tooltip visible.
+		if (
+			containsNode(ownRef.current, event.relatedTarget) ||
+			containsNode(popupRef.current, event.relatedTarget) ||
+			isPersisting(isFocusedRef)
+		) {
+			return;
+		}
+		if (machine.getState().context.id === id) {
+			send({ type: TooltipEvents.POPUPLEAVE, id });
+		}
+	}
+
+	const hadPointerDownRef = React.useRef(false);
+
+	function handlePointerDown() {
+		hadPointerDownRef.current = true;
 	}
 
 	function handleMouseDown() {
+		handlePointerDown();
+		if (!dismissesOnPress || !dismissOn.includes('pointerdown')) return;
 		// NOTE(joel): Allow quick click from one tool to another.
-		if (state.context.id === id) {
+		if (machine.getState().context.id === id) {
 			send({ type: TooltipEvents.MOUSEDOWN });
 		}
 	}
 
-	function handleFocus() {
-		send({ type: TooltipEvents.FOCUS, id });
+	function handleClick() {
+		if (!hasClickTrigger) return;
+		send({ type: TooltipEvents.CLICK, ...activation, imperative: true });
+	}
+
+	function handleFocus(event) {
+		const isPointerFocus = !isFocusVisible(
+			event.target,
+			!hadPointerDownRef.current,
+		);
+		hadPointerDownRef.current = false;
+		if (!hasFocusTrigger || (ignoresPointerFocus && isPointerFocus)) return;
+		isFocusedRef.current = true;
+		// NOTE(joel): Focus came back from our interactive popup.
+		if (isInPopup(event.relatedTarget) && machine.isTooltipVisible(id, true)) {
+			return;
+		}
+		send({ type: TooltipEvents.FOCUS, ...activation });
 	}
 
-	function handleBlur() {
+	function handleBlur(event) {
+		hadPointerDownRef.current = false;
+		isFocusedRef.current = false;
+		if (!hasFocusTrigger) return;
+		// NOTE(joel): Focus moving into our interactive popup keeps it open.
+		if (isInPopup(event.relatedTarget)) return;
+		if (isPersisting(isHoveredRef)) return;
 		// NOTE(joel): Allow quick click from one tool to another
-		if (state.context.id === id) {
+		if (machine.getState().context.id === id) {
 			send({ type: TooltipEvents.BLUR });
 		}
 	}
 
+	const longPressOriginRef = React.useRef(null);
+
+	function handleTouchStart(event) {
+		longPressOriginRef.current = { x: event.clientX, y: event.clientY };
+		machine.startTimer('longPress', longPressDelay, {
+			type: TooltipEvents.LONGPRESS,
+			...activation,
+		});
+	}
+
+	function handleTouchMove(event) {
+		const origin = longPressOriginRef.current;
+		if (!origin) return;
+		// NOTE(joel): The user is scrolling rather than pressing the trigger.
+		if (
+			Math.abs(event.clientX - origin.x) > LONG_PRESS_TOLERANCE ||
+			Math.abs(event.clientY - origin.y) > LONG_PRESS_TOLERANCE
+		) {
+			handleTouchCancel();
+		}
+	}
+
+	function handleTouchEnd() {
+		handleTouchCancel();
+		if (machine.getState().context.id === id) {
+			send({ type: TooltipEvents.TOUCHEND });
+		}
+	}
+
+	function handleTouchCancel() {
+		longPressOriginRef.current = null;
+		machine.clearTimer('longPress');
+	}
+
+	function handleContextMenu(event) {
+		// NOTE(joel): Prevent the native context menu (or text selection callout)
+		// that browsers show on long-press while our tooltip is displayed.
+		if (touch && machine.getState().context.id === id) {
+			event.preventDefault();
+		}
+	}
+
 	function handleKeyDown(event) {
+		if (!dismissesOnPress || !dismissOn.includes('keypress')) return;
 		if (event.key === 'Enter' || event.key === ' ') {
 			send({ type: TooltipEvents.SELECTWITHKEYBOARD });
 		}
@@ -447,9 +1574,13 @@ export function useTooltip({
 
 	let trigger = {
 		// NOTE(joel): The element that triggers the tooltip references the
-		// tooltip element with `aria-describedby`.
+		// tooltip element with `aria-describedby`. Labels name their trigger
+		// with `aria-labelledby`, even while they are hidden.
 		// @see https://www.w3.org/TR/wai-aria-practices-1.2/#tooltip
-		'aria-describedby': isVisible ? makeId('tooltip', id) : undefined,
+		'aria-describedby':
+			isVisible && type === 'description' ? makeId('tooltip', id) : undefined,
+		// NOTE(joel): Descriptions must not remove a name the trigger has.
+		...(labelId != null ? { 'aria-labelledby': labelId } : null),
 		'data-state': isVisible ? 'tooltip-visible' : 'tooltip-hidden',
 		'data-react-lit-tooltip-trigger': '',
 		ref,
@@ -459,7 +1590,10 @@ export function useTooltip({
 		),
 		onPointerMove: composeEventHandlers(
 			onPointerMove,
-			wrapPointerEventHandler(handleMouseMove),
+			chain(
+				wrapPointerEventHandler(handleMouseMove),
+				wrapTouchEventHandler(handleTouchMove),
+			),
 		),
 		onPointerLeave: composeEventHandlers(
 			onPointerLeave,
@@ -467,18 +1601,43 @@ export function useTooltip({
 		),
 		onPointerDown: composeEventHandlers(
 			onPointerDown,
-			wrapPointerEventHandler(handleMouseDown),
+			chain(
+				handlePointerDown,
+				wrapPointerEventHandler(handleMouseDown),
+				wrapTouchEventHandler(handleTouchStart),
+			),
+		),
+		onPointerUp: composeEventHandlers(
+			onPointerUp,
+			wrapTouchEventHandler(handleTouchEnd),
+		),
+		onPointerCancel: composeEventHandlers(
+			onPointerCancel,
+			wrapTouchEventHandler(handleTouchCancel),
 		),
+		onContextMenu: composeEventHandlers(onContextMenu, handleContextMenu),
 		onMouseEnter: wrapMouseEvent(onMouseEnter, handleMouseEnter),
 		onMouseMove: wrapMouseEvent(onMouseMove, handleMouseMove),
 		onMouseLeave: wrapMouseEvent(onMouseLeave, handleMouseLeave),
 		onMouseDown: wrapMouseEvent(onMouseDown, handleMouseDown),
+		onClick: composeEventHandlers(onClick, handleClick),
 		onFocus: composeEventHandlers(onFocus, handleFocus),
 		onBlur: composeEventHandlers(onBlur, handleBlur),
 		onKeyDown: composeEventHandlers(onKeyDown, handleKeyDown),
 	};
 
-	const tooltip = { id, triggerRect, isVisible };
+	const tooltip = {
+		id,
+		labelId,
+		triggerRef: ownRef,
+		triggerRect,
+		isTriggerHidden,
+		isVisible,
+		interactive,
+		popupRef,
+		onPopupEnter: handlePopupEnter,
+		onPopupLeave: handlePopupLeave,
+	};
 	return [trigger, tooltip, isVisible];
 }
 
@@ -488,21 +1647,65 @@ export function useTooltip({
  * Tooltip
  */
 export const Tooltip = React.forwardRef(
-	({ children, label, id, ...props }, parentRef) => {
+	(
+		{
+			children,
+			label,
+			id,
+			isOpen,
+			defaultOpen,
+			onOpenChange,
+			openDelay,
+			closeDelay,
+			triggers,
+			dismissOn,
+			onEscapeKeyDown,
+			onPointerDownOutside,
+			touch,
+			longPressDelay,
+			interactive,
+			wcag,
+			virtualAnchor,
+			followCursor,
+			type,
+			...props
+		},
+		parentRef,
+	) => {
 		let child = React.Children.only(children);
 
 		// NOTE(joel): Pass some child props to useTooltip to allow control over
 		// the trigger's ref and events.
 		let [trigger, tooltip] = useTooltip({
 			id,
+			isOpen,
+			defaultOpen,
+			onOpenChange,
+			openDelay,
+			closeDelay,
+			triggers,
+			dismissOn,
+			onEscapeKeyDown,
+			onPointerDownOutside,
+			touch,
+			longPressDelay,
+			interactive,
+			wcag,
+			virtualAnchor,
+			followCursor,
+			type,
 			onPointerEnter: child.props.onPointerEnter,
 			onPointerMove: child.props.onPointerMove,
 			onPointerLeave: child.props.onPointerLeave,
 			onPointerDown: child.props.onPointerDown,
+			onPointerUp: child.props.onPointerUp,
+			onPointerCancel: child.props.onPointerCancel,
+			onContextMenu: child.props.onContextMenu,
 			onMouseEnter: child.props.onMouseEnter,
 			onMouseMove: child.props.onMouseMove,
 			onMouseLeave: child.props.onMouseLeave,
 			onMouseDown: child.props.onMouseDown,
+			onClick: child.props.onClick,
 			onFocus: child.props.onFocus,
 			onBlur: child.props.onBlur,
 			onKeyDown: child.props.onKeyDown,
@@ -522,49 +1725,408 @@ export const Tooltip = React.forwardRef(
 ////////////////////////////////////////////////////////////////////////////////
 
 /**
- * TooltipPopup
+ * getDataTooltip reads the label of a delegated trigger from its
+ * `data-tooltip` attribute.
+ * @param {Element} trigger
+ * @returns {string?}
+ */
+function getDataTooltip(trigger) {
+	return trigger.getAttribute('data-tooltip');
+}
+
+/**
+ * useTooltipDelegate shows a single tooltip for all triggers inside of
+ * `containerRef` that match `selector`, e.g. for the cells of a huge data
+ * grid. Instead of a hook per trigger, it listens for pointer and focus events
+ * once on the container. The label is read from the active trigger with
+ * `getLabel`. Spread the returned tooltip onto a <TooltipPopup>.
+ * @param {React.RefObject<Element>} containerRef
+ * @param {Object} [options={}]
+ * @param {string} [options.selector='[data-tooltip]']
+ * @param {(trigger: Element) => React.ReactNode} [options.getLabel]
+ * @param {string} [options.id]
+ * @param {number} [options.openDelay]
+ * @param {number} [options.closeDelay]
+ */
+export function useTooltipDelegate(
+	containerRef,
+	{
+		selector = '[data-tooltip]',
+		getLabel = getDataTooltip,
+		id: idProp,
+		openDelay: openDelayProp,
+		closeDelay: closeDelayProp,
+	} = {},
+) {
+	const id = String(useId(idProp));
+
+	const tooltipContext = React.useContext(TooltipContext);
+	const machine = tooltipContext.machine || globalMachine;
+	const openDelay = openDelayProp ?? tooltipContext.openDelay ?? REST_TIMEOUT;
+	const closeDelay =
+		closeDelayProp ?? tooltipContext.closeDelay ?? LEAVE_TIMEOUT;
+
+	const [isVisibleState, setIsVisible] = React.useState(() =>
+		machine.isTooltipVisible(id, true),
+	);
+	const isVisible = useIsHydrated() && isVisibleState;
+	React.useEffect(
+		() =>
+			machine.subscribe(() => setIsVisible(machine.isTooltipVisible(id)), id),
+		[machine, id],
+	);
+
+	const group = React.useContext(TooltipGroupContext);
+	const [activeTrigger, setActiveTrigger] = React.useState(null);
+	const activeTriggerRef = React.useRef(null);
+
+	React.useEffect(() => {
+		const container = containerRef.current;
+		if (!container) return;
+
+		const activation = {
+			id,
+			openDelay,
+			closeDelay,
+			group,
+			imperative: false,
+			wcag: false,
+		};
+
+		/**
+		 * getTrigger resolves the trigger of an event target within our
+		 * container.
+		 * @param {EventTarget?} target
+		 * @returns {Element?}
+		 */
+		function getTrigger(target) {
+			if (!target || typeof target.closest !== 'function') return null;
+			const trigger = target.closest(selector);
+			return trigger && container.contains(trigger) ? trigger : null;
+		}
+
+		function isActive() {
+			return machine.getState().context.id === id;
+		}
+
+		/**
+		 * @param {Element} trigger
+		 */
+		function activate(trigger) {
+			activeTriggerRef.current = trigger;
+			setActiveTrigger(trigger);
+		}
+
+		/**
+		 * @param {PointerEvent | MouseEvent} event
+		 */
+		function isMouse(event) {
+			return !('pointerType' in event) || event.pointerType === 'mouse';
+		}
+
+		function handleOver(event) {
+			const trigger = getTrigger(event.target);
+			if (!isMouse(event) || !trigger) return;
+			if (trigger === activeTriggerRef.current && isActive()) return;
+			// NOTE(joel): Moving on to a neighbouring trigger behaves just like
+			// moving between two separate tooltips.
+			if (isActive()) machine.send({ type: TooltipEvents.MOUSELEAVE, id });
+			activate(trigger);
+			machine.send({
+				type: TooltipEvents.MOUSEENTER,
+				...activation,
+				skipDelay: Boolean(group?.isWarm),
+			});
+		}
+
+		function handleMove(event) {
+			if (!isMouse(event) || !getTrigger(event.target)) return;
+			machine.send({ type: TooltipEvents.MOUSEMOVE, ...activation });
+		}
+
+		function handleOut(event) {
+			const trigger = getTrigger(event.target);
+			if (!isMouse(event) || !trigger) return;
+			if (getTrigger(event.relatedTarget) === trigger) return;
+			if (isActive()) machine.send({ type: TooltipEvents.MOUSELEAVE, id });
+		}
+
+		function handleMouseDown(event) {
+			if (getTrigger(event.target) && isActive()) {
+				machine.send({ type: TooltipEvents.MOUSEDOWN });
+			}
+		}
+
+		function handleFocusIn(event) {
+			const trigger = getTrigger(event.target);
+			if (!trigger) return;
+			activate(trigger);
+			machine.send({ type: TooltipEvents.FOCUS, ...activation });
+		}
+
+		function handleFocusOut(event) {
+			if (getTrigger(event.target) && isActive()) {
+				machine.send({ type: TooltipEvents.BLUR });
+			}
+		}
+
+		function handleKeyDown(event) {
+			if (event.key !== 'Enter' && event.key !== ' ') return;
+			if (getTrigger(event.target) && isActive()) {
+				machine.send({ type: TooltipEvents.SELECTWITHKEYBOARD });
+			}
+		}
+
+		/**
+		 * @param {KeyboardEvent} event
+		 */
+		function handleEscape(event) {
+			if (event.key !== 'Escape' && event.key !== 'Esc') return;
+			const { value, context } = machine.getState();
+			if (value === TooltipStates.VISIBLE && context.id === id) {
+				machine.send({ type: TooltipEvents.SELECTWITHKEYBOARD });
+			}
+		}
+
+		const hasPointerEvents = supportsPointerEvents();
+		const listeners = {
+			[hasPointerEvents ? 'pointerover' : 'mouseover']: handleOver,
+			[hasPointerEvents ? 'pointermove' : 'mousemove']: handleMove,
+			[hasPointerEvents ? 'pointerout' : 'mouseout']: handleOut,
+			[hasPointerEvents ? 'pointerdown' : 'mousedown']: handleMouseDown,
+			focusin: handleFocusIn,
+			focusout: handleFocusOut,
+			keydown: handleKeyDown,
+		};
+		Object.entries(listeners).forEach(([type, listener]) => {
+			container.addEventListener(type, listener);
+		});
+		const removeEscapeListener = addDocumentListener(
+			getOwnerDocument(container),
+			'keydown',
+			handleEscape,
+		);
+		return () => {
+			Object.entries(listeners).forEach(([type, listener]) => {
+				container.removeEventListener(type, listener);
+			});
+			removeEscapeListener();
+		};
+	}, [containerRef, selector, machine, id, openDelay, closeDelay, group]);
+
+	// NOTE(joel): Only the active trigger references the tooltip element with
+	// `aria-describedby`. We don't render the triggers, so we have to patch
+	// their attributes ourselves.
+	useIsomorphicLayoutEffect(() => {
+		if (!isVisible || !activeTrigger) return;
+		const describedBy = activeTrigger.getAttribute('aria-describedby');
+		const tooltipId = makeId('tooltip', id);
+		activeTrigger.setAttribute(
+			'aria-describedby',
+			describedBy ? `${describedBy} ${tooltipId}` : tooltipId,
+		);
+		return () => {
+			if (describedBy == null) {
+				activeTrigger.removeAttribute('aria-describedby');
+			} else {
+				activeTrigger.setAttribute('aria-describedby', describedBy);
+			}
+		};
+	}, [isVisible, activeTrigger, id]);
+
+	// NOTE(joel): A new ref object per trigger makes us measure the new trigger.
+	const triggerRef = React.useMemo(
+		() => ({ current: activeTrigger }),
+		[activeTrigger],
+	);
+	const { rect: triggerRect, isHidden: isTriggerHidden } = useTriggerRect(
+		triggerRef,
+		isVisible,
+	);
+
+	const tooltip = {
+		id,
+		label: activeTrigger ? getLabel(activeTrigger) : null,
+		triggerRef,
+		triggerRect,
+		isTriggerHidden,
+		isVisible,
+	};
+	return [tooltip, isVisible];
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * TooltipPopup renders <TooltipContent> into a portal while the tooltip is
+ * visible. Once hidden, it stays mounted until an exit animation or transition
+ * of the content has finished, or for `exitDuration` ms.
+ * The content is either its `label` or its `children`. We encourage simple
+ * strings, but structured content like <TooltipShortcut> works as well.
+ * Tooltips of `type: 'label'` render their content into a visually hidden
+ * element with `labelId` as well, that names the trigger at all times.
  */
 export const TooltipPopup = React.forwardRef(
 	(
 		{
-			// could use children but we want to encourage simple strings
 			label,
 			isVisible,
 			id,
+			labelId,
+			exitDuration,
+			container,
+			disablePortal,
+			triggerRef,
 			...props
 		},
 		parentRef,
-	) =>
-		isVisible ? (
-			<Portal>
-				<TooltipContent
-					ref={parentRef}
-					label={label}
-					isVisible={isVisible}
-					{...props}
-					id={makeId('tooltip', String(id))}
-				/>
-			</Portal>
-		) : null,
+	) => {
+		const ownRef = React.useRef();
+		const ref = useComposeRefs(parentRef, ownRef);
+		const isPresent = usePresence(isVisible, ownRef, exitDuration);
+		const isLabel = labelId != null;
+
+		return (
+			<>
+				{isLabel && (
+					<VisuallyHidden id={labelId}>
+						{props.children ?? label}
+					</VisuallyHidden>
+				)}
+				{isPresent ? (
+					<TooltipPortal
+						container={container}
+						disablePortal={disablePortal}
+						triggerRef={triggerRef}
+					>
+						<TooltipContent
+							ref={ref}
+							label={label}
+							isVisible={isVisible}
+							// NOTE(joel): The trigger is already named by our visually
+							// hidden label. Screen readers shouldn't find it twice.
+							aria-hidden={isLabel || undefined}
+							{...props}
+							id={makeId('tooltip', String(id))}
+						/>
+					</TooltipPortal>
+				) : null}
+			</>
+		);
+	},
 );
 
+/**
+ * TooltipPortal renders its children into `container`, or into the body of
+ * the document it is rendered in. With `disablePortal`, the children are
+ * rendered inline instead, e.g. to be styled by the stylesheets of a shadow
+ * root.
+ * Tooltips of triggers inside of a modal <dialog> are rendered into the
+ * dialog. Everything outside of the top layer is rendered below it.
+ * @param {Object} props
+ * @param {Element | DocumentFragment | React.RefObject<Element>} [props.container]
+ * @param {boolean} [props.disablePortal]
+ * @param {React.RefObject<Element>} [props.triggerRef]
+ * @param {React.ReactNode} props.children
+ * @returns {React.ReactElement | null}
+ */
+function TooltipPortal({ container, disablePortal, triggerRef, children }) {
+	// NOTE(joel): Refs are only populated once mounted, so we resolve the
+	// container in a layout effect.
+	const [containerElement, setContainerElement] = React.useState(null);
+	useIsomorphicLayoutEffect(() => {
+		setContainerElement(
+			getElement(container) ?? getModalDialog(triggerRef?.current) ?? null,
+		);
+	}, [container, triggerRef]);
+
+	if (disablePortal) return <>{children}</>;
+	if (containerElement) return createPortal(children, containerElement);
+	return container == null ? <Portal>{children}</Portal> : null;
+}
+
+/**
+ * getModalDialog returns the modal <dialog> `element` is rendered in, if any.
+ * @param {Element?} [element]
+ * @returns {HTMLDialogElement?}
+ */
+function getModalDialog(element) {
+	const dialog = element?.closest('dialog[open]');
+	if (!dialog) return null;
+	try {
+		return dialog.matches(':modal') ? dialog : null;
+	} catch {
+		// NOTE(joel): Browsers w/o support for `:modal` throw.
+		return null;
+	}
+}
+
+/**
+ * isFocusVisible checks whether the browser would draw a focus ring for the
+ * focused `element`. It returns `fallback` if `:focus-visible` isn't
+ * supported.
+ * @param {Element} element
+ * @param {boolean} fallback
+ * @returns {boolean}
+ */
+function isFocusVisible(element, fallback) {
+	try {
+		return element.matches(':focus-visible');
+	} catch {
+		// NOTE(joel): Browsers w/o support for `:focus-visible` throw.
+		return fallback;
+	}
+}
+
 ////////////////////////////////////////////////////////////////////////////////
 
+/**
+ * @typedef {Object} TooltipContentContextValue
+ * @prop {ComputedPosition?} [position]
+ * @prop {Partial<DOMRect>} [triggerRect]
+ * @prop {Partial<DOMRect>} [tooltipRect]
+ */
+
+/** @type {React.Context<TooltipContentContextValue>} */
+const TooltipContentContext = createNamedContext('TooltipContentContext', {});
+
 /**
  * TooltipContent renders a seperate component so that `useRect` works inside
  * the <Portal />
+ * Its visual styles come from the `theme` of the nearest <TooltipProvider>.
+ * `unstyled` tooltips leave them to the app's stylesheets.
  */
 export const TooltipContent = React.forwardRef(
 	(
 		{
 			'aria-label': ariaLabel,
 			as: Comp = 'div',
+			children,
 			id,
 			isVisible,
 			label,
+			maxWidth,
+			wrap = maxWidth != null,
 			position = positionTooltip,
+			placement,
+			offset,
+			collisionPadding,
+			collisionBoundary,
+			avoidCollisions,
+			strategy = 'absolute',
+			arrow,
 			style,
 			triggerRect,
+			isTriggerHidden,
+			interactive,
+			unstyled,
+			popupRef,
+			onPopupEnter,
+			onPopupLeave,
+			onMouseEnter,
+			onMouseLeave,
+			onFocus,
+			onBlur,
 			...props
 		},
 		parentRef,
@@ -579,29 +2141,84 @@ export const TooltipContent = React.forwardRef(
 		const hasAriaLabel = ariaLabel != null;
 
 		const ownRef = React.useRef();
-		const ref = useComposeRefs(parentRef, ownRef);
+		const ref = useComposeRefs(parentRef, ownRef, popupRef);
 		const tooltipRect = useRect(ownRef, { observe: isVisible });
+		const { theme, zIndex: baseZIndex } = React.useContext(TooltipContext);
+		const layer = React.useContext(TooltipLayerContext);
+		// NOTE(joel): Tooltips are rendered above the layer they are in.
+		const zIndex = layer ? layer.zIndex + 1 : baseZIndex;
+
+		// NOTE(joel): Interactive tooltips stay open while hovered or focused.
+		const popupHandlers = interactive
+			? {
+					onMouseEnter: composeEventHandlers(onMouseEnter, onPopupEnter),
+					onMouseLeave: composeEventHandlers(onMouseLeave, onPopupLeave),
+					onFocus: composeEventHandlers(onFocus, onPopupEnter),
+					onBlur: composeEventHandlers(onBlur, onPopupLeave),
+			  }
+			: { onMouseEnter, onMouseLeave, onFocus, onBlur };
+
+		const positionOptions = {
+			placement,
+			offset,
+			collisionPadding,
+			collisionBoundary,
+			avoidCollisions,
+			strategy,
+			// NOTE(joel): Tooltips are positioned within the document and offset
+			// parent they are rendered into, e.g. the document of an iframe.
+			ownerDocument: getOwnerDocument(ownRef.current),
+			offsetParent: ownRef.current?.offsetParent,
+		};
+
+		// NOTE(joel): The side and alignment are used for our data attributes
+		// and by <TooltipArrow>. They are computed the same way as the styles of
+		// `positionTooltip`, so they follow flips and shifts.
+		const computedPosition =
+			triggerRect && tooltipRect
+				? computePosition(triggerRect, tooltipRect, positionOptions)
+				: null;
 
 		return (
 			<>
 				<Comp
 					{...props}
+					{...popupHandlers}
 					role={hasAriaLabel ? undefined : 'tooltip'}
 					ref={ref}
 					id={hasAriaLabel ? undefined : id}
 					style={{
-						position: 'absolute',
-						pointerEvents: 'none',
-						zIndex: 1,
-						whiteSpace: 'nowrap',
-						backgroundColor: 'white',
-						border: '1px solid #ccc',
+						position: strategy,
+						pointerEvents: interactive ? 'auto' : 'none',
+						// NOTE(joel): Unstyled tooltips only get the styles needed to
+						// position them and to not get in the way of the pointer.
+						...(unstyled
+							? null
+							: {
+									whiteSpace: wrap ? 'normal' : 'nowrap',
+									...DEFAULT_THEME,
+									...theme,
+							  }),
+						...(zIndex != null ? { zIndex } : null),
+						maxWidth,
 						...style,
-						...getStyles(position, triggerRect, tooltipRect),
+						...getStyles(position, triggerRect, tooltipRect, positionOptions),
+						// NOTE(joel): Hide the tooltip once its trigger has been scrolled
+						// out of view of its clipping containers.
+						...(isTriggerHidden ? { visibility: 'hidden' } : null),
 					}}
 					data-react-lit-tooltip=""
+					data-state={isVisible ? 'open' : 'closed'}
+					data-side={computedPosition?.side}
+					data-align={computedPosition?.align}
+					data-placement={computedPosition && getPlacement(computedPosition)}
 				>
-					{label}
+					<TooltipContentContext.Provider
+						value={{ position: computedPosition, triggerRect, tooltipRect }}
+					>
+						{children ?? label}
+						{arrow && (React.isValidElement(arrow) ? arrow : <TooltipArrow />)}
+					</TooltipContentContext.Provider>
 				</Comp>
 				{hasAriaLabel && (
 					<VisuallyHidden role="tooltip" id={id}>
@@ -616,7 +2233,164 @@ export const TooltipContent = React.forwardRef(
 ////////////////////////////////////////////////////////////////////////////////
 
 /**
- * @typedef {(targetRect: Partial<DOMRect>?, popoverRect: Partial<DOMRect>?) => React.CSSProperties} Position
+ * TooltipShortcut renders a keyboard shortcut, e.g. `Ctrl + K`, inside of a
+ * tooltip. Screen readers announce the keys as plain text, or `label` if
+ * passed, instead of the visual <kbd> elements.
+ */
+export const TooltipShortcut = React.forwardRef(
+	(
+		{ as: Comp = 'span', keys = [], separator = '+', label, ...props },
+		parentRef,
+	) => (
+		<Comp {...props} ref={parentRef} data-react-lit-tooltip-shortcut="">
+			<span aria-hidden>
+				{keys.map((key, index) => (
+					<React.Fragment key={index}>
+						{index > 0 && ` ${separator} `}
+						<kbd>{key}</kbd>
+					</React.Fragment>
+				))}
+			</span>
+			<VisuallyHidden>{label ?? keys.join(` ${separator} `)}</VisuallyHidden>
+		</Comp>
+	),
+);
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Maps the side of a tooltip to the two borders of our rotated arrow square
+ * that point towards the trigger.
+ */
+const arrowBorders = {
+	top: ['borderBottom', 'borderRight'],
+	right: ['borderBottom', 'borderLeft'],
+	bottom: ['borderTop', 'borderLeft'],
+	left: ['borderTop', 'borderRight'],
+};
+
+/**
+ * TooltipArrow renders an arrow on the edge of <TooltipContent> that faces the
+ * trigger. It points at the center of the trigger, even if the tooltip has
+ * been shifted to stay within its collision boundary. Pass `children` to
+ * render a custom arrow, e.g. an SVG.
+ */
+export const TooltipArrow = React.forwardRef(
+	({ as: Comp = 'span', size = 8, children, style, ...props }, parentRef) => {
+		const { position, triggerRect, tooltipRect } = React.useContext(
+			TooltipContentContext,
+		);
+		if (!position) return null;
+
+		const { side, align } = position;
+		const { x, y } = getArrowPosition(position, triggerRect, tooltipRect, size);
+		const hasCustomArrow = children != null;
+
+		return (
+			<Comp
+				aria-hidden
+				{...props}
+				ref={parentRef}
+				style={{
+					position: 'absolute',
+					[oppositeSides[side]]: `${-size / 2}px`,
+					...(x != null
+						? { left: `${x - size / 2}px` }
+						: { top: `${y - size / 2}px` }),
+					width: `${size}px`,
+					height: `${size}px`,
+					...(hasCustomArrow
+						? null
+						: {
+								backgroundColor: 'inherit',
+								transform: 'rotate(45deg)',
+								[arrowBorders[side][0]]: 'inherit',
+								[arrowBorders[side][1]]: 'inherit',
+						  }),
+					...style,
+				}}
+				data-react-lit-tooltip-arrow=""
+				data-side={side}
+				data-align={align}
+			>
+				{children}
+			</Comp>
+		);
+	},
+);
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * TooltipInspector draws the current state of the tooltip state machine over
+ * the page. It uses the machine of the nearest <TooltipProvider>, unless one
+ * is passed as `machine`. Only meant for development.
+ */
+export const TooltipInspector = React.forwardRef(
+	({ as: Comp = 'div', machine: machineProp, style, ...props }, parentRef) => {
+		const tooltipContext = React.useContext(TooltipContext);
+		const machine = machineProp || tooltipContext.machine || globalMachine;
+
+		const [inspection, setInspection] = React.useState(null);
+		React.useEffect(() => {
+			setInspection(null);
+			return machine.inspect(setInspection);
+		}, [machine]);
+
+		const { value, context } = inspection?.nextState ?? machine.getState();
+		const lastEvent = inspection
+			? `${inspection.event.type}${inspection.changed ? '' : ' (ignored)'}`
+			: '-';
+
+		return (
+			<Comp
+				aria-hidden
+				{...props}
+				ref={parentRef}
+				style={{
+					position: 'fixed',
+					right: 0,
+					bottom: 0,
+					zIndex: 2147483647,
+					padding: '4px 8px',
+					fontFamily: 'monospace',
+					fontSize: '12px',
+					whiteSpace: 'pre',
+					pointerEvents: 'none',
+					background: 'rgba(0, 0, 0, 0.75)',
+					color: 'white',
+					...style,
+				}}
+				data-react-lit-tooltip-inspector=""
+				data-state={value}
+			>
+				{[
+					`state: ${value}`,
+					`id: ${context.id ?? '-'}`,
+					`timers: ${inspection?.timers.join(', ') || '-'}`,
+					`event: ${lastEvent}`,
+				].join('\n')}
+			</Comp>
+		);
+	},
+);
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} PositionOptions
+ * @prop {Placement} [placement='bottom-start']
+ * @prop {number} [offset=8]
+ * @prop {number} [collisionPadding=0]
+ * @prop {Element | React.RefObject<Element>} [collisionBoundary]
+ * @prop {boolean} [avoidCollisions=true]
+ * @prop {'absolute' | 'fixed'} [strategy='absolute']
+ * @prop {Document} [ownerDocument] The document the tooltip is rendered in
+ * @prop {Element?} [offsetParent] The offset parent of the tooltip
+ */
+
+/**
+ * @typedef {(targetRect: Partial<DOMRect>?, popoverRect: Partial<DOMRect>?, options?: PositionOptions) => React.CSSProperties} Position
  */
 
 /**
@@ -624,53 +2398,862 @@ export const TooltipContent = React.forwardRef(
  * @param {Position} position
  * @param {Partial<DOMRect>} triggerRect
  * @param {Partial<DOMRect>} tooltipRect
+ * @param {PositionOptions} [options]
  * @returns {React.CSSProperties}
  */
-function getStyles(position, triggerRect, tooltipRect) {
+function getStyles(position, triggerRect, tooltipRect, options) {
 	const haventMeasuredTooltipYet = !tooltipRect;
 	if (haventMeasuredTooltipYet) {
 		return { visibility: 'hidden' };
 	}
-	return position(triggerRect, tooltipRect);
+	return position(triggerRect, tooltipRect, options);
 }
 
 ////////////////////////////////////////////////////////////////////////////////
 
+/** @typedef {'top' | 'right' | 'bottom' | 'left'} Side */
+/** @typedef {'start' | 'center' | 'end'} Align */
+/** @typedef {Side | `${Side}-start` | `${Side}-end`} Placement */
+
 /**
- * positionTooltip calculates the tooltip's top and left position in px.
+ * @typedef {Object} ComputedPosition
+ * @prop {number} x
+ * @prop {number} y
+ * @prop {Side} side
+ * @prop {Align} align
+ */
+
+/**
+ * @typedef {Object} BoundaryRect
+ * @prop {number} top
+ * @prop {number} right
+ * @prop {number} bottom
+ * @prop {number} left
+ */
+
+const oppositeSides = {
+	top: 'bottom',
+	right: 'left',
+	bottom: 'top',
+	left: 'right',
+};
+
+/**
+ * parsePlacement splits a placement like `right-end` into its side and
+ * alignment. Placements w/o an alignment are centered on the trigger.
+ * @param {Placement} [placement='bottom-start']
+ * @returns {{ side: Side, align: Align }}
+ */
+export function parsePlacement(placement = 'bottom-start') {
+	const [side, align = 'center'] = placement.split('-');
+	return { side, align };
+}
+
+/**
+ * getPlacement joins a side and alignment into a placement. It is the inverse
+ * of `parsePlacement`.
+ * @param {{ side: Side, align: Align }} position
+ * @returns {Placement}
+ */
+function getPlacement({ side, align }) {
+	return align === 'center' ? side : `${side}-${align}`;
+}
+
+/**
+ * isVerticalSide
+ * @param {Side} side
+ * @returns {boolean}
+ */
+function isVerticalSide(side) {
+	return side === 'top' || side === 'bottom';
+}
+
+/**
+ * alignOnAxis aligns a tooltip of `tooltipSize` on a trigger that starts at
+ * `triggerStart` with `triggerSize`.
+ * @param {number} triggerStart
+ * @param {number} triggerSize
+ * @param {number} tooltipSize
+ * @param {Align} align
+ * @returns {number}
+ */
+function alignOnAxis(triggerStart, triggerSize, tooltipSize, align) {
+	if (align === 'start') return triggerStart;
+	if (align === 'end') return triggerStart + triggerSize - tooltipSize;
+	return triggerStart + triggerSize / 2 - tooltipSize / 2;
+}
+
+/**
+ * getPlacementCoords calculates the viewport coordinates of a tooltip placed
+ * on `side` of the trigger with the given alignment.
  * @param {Partial<DOMRect>} triggerRect
  * @param {Partial<DOMRect>} tooltipRect
+ * @param {Side} side
+ * @param {Align} align
  * @param {number} [offset=8]
- * @returns {Position}
+ * @returns {{ x: number, y: number }}
  */
-export const positionTooltip = (triggerRect, tooltipRect, offset = 8) => {
-	const { width: windowWidth, height: windowHeight } = getDocumentDimensions();
-	if (!triggerRect || !tooltipRect) return {};
+export function getPlacementCoords(
+	triggerRect,
+	tooltipRect,
+	side,
+	align,
+	offset = 8,
+) {
+	if (isVerticalSide(side)) {
+		return {
+			x: alignOnAxis(
+				triggerRect.left,
+				triggerRect.width,
+				tooltipRect.width,
+				align,
+			),
+			y:
+				side === 'top'
+					? triggerRect.top - offset - tooltipRect.height
+					: triggerRect.top + triggerRect.height + offset,
+		};
+	}
+	return {
+		x:
+			side === 'left'
+				? triggerRect.left - offset - tooltipRect.width
+				: triggerRect.left + triggerRect.width + offset,
+		y: alignOnAxis(
+			triggerRect.top,
+			triggerRect.height,
+			tooltipRect.height,
+			align,
+		),
+	};
+}
+
+/**
+ * getElement resolves an element that may be passed as a ref.
+ * @template {Element | DocumentFragment} T
+ * @param {T | React.RefObject<T>} [elementOrRef]
+ * @returns {T | null | undefined}
+ */
+function getElement(elementOrRef) {
+	return elementOrRef && 'current' in elementOrRef
+		? elementOrRef.current
+		: elementOrRef;
+}
+
+/**
+ * getCollisionBoundary returns the rect tooltips have to stay within. It is
+ * the viewport, optionally narrowed down to `collisionBoundary`, minus
+ * `padding` on each side.
+ * @param {Element | React.RefObject<Element>} [collisionBoundary]
+ * @param {number} [padding=0]
+ * @param {Document} [ownerDocument] The document whose viewport is used
+ * @returns {BoundaryRect}
+ */
+export function getCollisionBoundary(
+	collisionBoundary,
+	padding = 0,
+	ownerDocument,
+) {
+	const element = getElement(collisionBoundary);
+
+	const { width, height } = getDocumentDimensions(
+		element ?? ownerDocument?.documentElement,
+	);
+	let boundary = { top: 0, right: width, bottom: height, left: 0 };
+	if (element) {
+		const rect = element.getBoundingClientRect();
+		boundary = {
+			top: Math.max(rect.top, boundary.top),
+			right: Math.min(rect.right, boundary.right),
+			bottom: Math.min(rect.bottom, boundary.bottom),
+			left: Math.max(rect.left, boundary.left),
+		};
+	}
+
+	return {
+		top: boundary.top + padding,
+		right: boundary.right - padding,
+		bottom: boundary.bottom - padding,
+		left: boundary.left + padding,
+	};
+}
+
+/**
+ * getOverflow returns by how many px a tooltip at `coords` overflows the
+ * boundary on `side`.
+ * @param {{ x: number, y: number }} coords
+ * @param {Partial<DOMRect>} tooltipRect
+ * @param {Side} side
+ * @param {BoundaryRect} boundary
+ * @returns {number}
+ */
+function getOverflow(coords, tooltipRect, side, boundary) {
+	switch (side) {
+		case 'top':
+			return boundary.top - coords.y;
+		case 'right':
+			return coords.x + tooltipRect.width - boundary.right;
+		case 'bottom':
+			return coords.y + tooltipRect.height - boundary.bottom;
+		default:
+			return boundary.left - coords.x;
+	}
+}
+
+/**
+ * flipPosition moves the tooltip to the opposite side of the trigger if it
+ * overflows the boundary on its side and the opposite side has more room.
+ * @param {ComputedPosition} position
+ * @param {Partial<DOMRect>} triggerRect
+ * @param {Partial<DOMRect>} tooltipRect
+ * @param {Object} options
+ * @param {BoundaryRect} options.boundary
+ * @param {number} [options.offset=8]
+ * @returns {ComputedPosition}
+ */
+export function flipPosition(
+	position,
+	triggerRect,
+	tooltipRect,
+	{ boundary, offset = 8 },
+) {
+	const { side, align } = position;
+	const overflow = getOverflow(position, tooltipRect, side, boundary);
+	if (overflow <= 0) return position;
+
+	const oppositeSide = oppositeSides[side];
+	const flipped = getPlacementCoords(
+		triggerRect,
+		tooltipRect,
+		oppositeSide,
+		align,
+		offset,
+	);
+	if (getOverflow(flipped, tooltipRect, oppositeSide, boundary) < overflow) {
+		return { ...flipped, side: oppositeSide, align };
+	}
+	return position;
+}
 
-	const collisions = {
-		top: triggerRect.top - tooltipRect.height < 0,
-		right: windowWidth < triggerRect.left + tooltipRect.width,
-		bottom: windowHeight < triggerRect.bottom + tooltipRect.height + offset,
-		left: triggerRect.left - tooltipRect.width < 0,
+/**
+ * shiftPosition moves the tooltip along the cross axis of its side, so that
+ * it stays within the boundary.
+ * @param {ComputedPosition} position
+ * @param {Partial<DOMRect>} tooltipRect
+ * @param {Object} options
+ * @param {BoundaryRect} options.boundary
+ * @returns {ComputedPosition}
+ */
+export function shiftPosition(position, tooltipRect, { boundary }) {
+	if (isVerticalSide(position.side)) {
+		return {
+			...position,
+			x: clamp(position.x, boundary.left, boundary.right - tooltipRect.width),
+		};
+	}
+	return {
+		...position,
+		y: clamp(position.y, boundary.top, boundary.bottom - tooltipRect.height),
+	};
+}
+
+/**
+ * clamp restricts `value` to `min` and `max`. If both collide, `min` wins.
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+	return Math.max(min, Math.min(value, max));
+}
+
+/**
+ * computePosition calculates the viewport coordinates, side and alignment of
+ * a tooltip by composing `getPlacementCoords`, `flipPosition` and
+ * `shiftPosition`.
+ * @param {Partial<DOMRect>} triggerRect
+ * @param {Partial<DOMRect>} tooltipRect
+ * @param {PositionOptions} [options={}]
+ * @returns {ComputedPosition}
+ */
+export function computePosition(triggerRect, tooltipRect, options = {}) {
+	const {
+		placement,
+		offset = 8,
+		collisionPadding = 0,
+		collisionBoundary,
+		avoidCollisions = true,
+		ownerDocument,
+	} = options;
+
+	const { side, align } = parsePlacement(placement);
+	const position = {
+		...getPlacementCoords(triggerRect, tooltipRect, side, align, offset),
+		side,
+		align,
 	};
+	if (!avoidCollisions) return position;
 
-	const directionRight = collisions.right && !collisions.left;
-	const directionUp = collisions.bottom && !collisions.top;
+	const boundary = getCollisionBoundary(
+		collisionBoundary,
+		collisionPadding,
+		ownerDocument,
+	);
+	return shiftPosition(
+		flipPosition(position, triggerRect, tooltipRect, { boundary, offset }),
+		tooltipRect,
+		{ boundary },
+	);
+}
 
+/**
+ * getArrowPosition calculates the offset of an arrow along the edge of the
+ * tooltip that faces the trigger, so that it points at the trigger's center.
+ * The offset is kept `padding` px away from the tooltip's corners.
+ * @param {ComputedPosition} position
+ * @param {Partial<DOMRect>} triggerRect
+ * @param {Partial<DOMRect>} tooltipRect
+ * @param {number} [padding=0]
+ * @returns {{ x?: number, y?: number }}
+ */
+export function getArrowPosition(
+	position,
+	triggerRect,
+	tooltipRect,
+	padding = 0,
+) {
+	if (isVerticalSide(position.side)) {
+		return {
+			x: clamp(
+				triggerRect.left + triggerRect.width / 2 - position.x,
+				padding,
+				tooltipRect.width - padding,
+			),
+		};
+	}
 	return {
-		left: directionRight
-			? `${triggerRect.right - tooltipRect.width + window.pageXOffset}px`
-			: `${triggerRect.left + window.pageXOffset}px`,
-		top: directionUp
-			? `${
-					triggerRect.top - offset - tooltipRect.height + window.pageYOffset
-			  }px`
-			: `${
-					triggerRect.top + offset + triggerRect.height + window.pageYOffset
-			  }px`,
+		y: clamp(
+			triggerRect.top + triggerRect.height / 2 - position.y,
+			padding,
+			tooltipRect.height - padding,
+		),
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * containsNode checks if `node` is `parent` or one of its descendants. Unlike
+ * `Node.contains` it accepts any value, e.g. the `relatedTarget` of an event.
+ * @param {Node?} parent
+ * @param {any} node
+ * @returns {boolean}
+ */
+function containsNode(parent, node) {
+	return Boolean(
+		parent &&
+			node &&
+			typeof node.nodeType === 'number' &&
+			parent.contains(node),
+	);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} PooledListener
+ * @prop {Set<EventListener>} listeners
+ * @prop {EventListener} dispatch
+ */
+
+/** @type {WeakMap<Document, Map<string, PooledListener>>} */
+const documentListeners = new WeakMap();
+
+/**
+ * addDocumentListener adds `listener` for events of `type` to
+ * `ownerDocument`. All listeners of the same type and phase share a single
+ * native listener per document, no matter how many tooltips are mounted. It
+ * returns a clean-up function.
+ * @param {Document} ownerDocument
+ * @param {string} type
+ * @param {EventListener} listener
+ * @param {AddEventListenerOptions} [options]
+ * @returns {() => void}
+ */
+function addDocumentListener(ownerDocument, type, listener, options) {
+	let pooledByType = documentListeners.get(ownerDocument);
+	if (!pooledByType) {
+		pooledByType = new Map();
+		documentListeners.set(ownerDocument, pooledByType);
+	}
+
+	const key = options?.capture ? `${type}:capture` : type;
+	let pooled = pooledByType.get(key);
+	if (!pooled) {
+		const listeners = new Set();
+		pooled = {
+			listeners,
+			// NOTE(joel): Listeners may remove themselves while we iterate.
+			dispatch: event => Array.from(listeners).forEach(fn => fn(event)),
+		};
+		pooledByType.set(key, pooled);
+		ownerDocument.addEventListener(type, pooled.dispatch, options);
+	}
+	pooled.listeners.add(listener);
+
+	return () => {
+		pooled.listeners.delete(listener);
+		if (pooled.listeners.size > 0 || pooledByType.get(key) !== pooled) return;
+		ownerDocument.removeEventListener(type, pooled.dispatch, options);
+		pooledByType.delete(key);
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} Point
+ * @prop {number} x
+ * @prop {number} y
+ */
+
+/**
+ * isInTriangle checks if `point` lies within the triangle `a`, `b`, `c`.
+ * @param {Point} point
+ * @param {Point} a
+ * @param {Point} b
+ * @param {Point} c
+ * @returns {boolean}
+ */
+function isInTriangle(point, a, b, c) {
+	const cross = (p, q, r) =>
+		(q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+	const d1 = cross(a, b, point);
+	const d2 = cross(b, c, point);
+	const d3 = cross(c, a, point);
+	const hasNegative = d1 < 0 || d2 < 0 || d3 < 0;
+	const hasPositive = d1 > 0 || d2 > 0 || d3 > 0;
+	return !(hasNegative && hasPositive);
+}
+
+/**
+ * isInSafePolygon checks if `point` lies within the popup or within the area
+ * spanned by `exitPoint` and the popup, i.e. on the way from the trigger to
+ * the popup.
+ * @param {Point} point
+ * @param {Point} exitPoint
+ * @param {Partial<DOMRect>} popupRect
+ * @returns {boolean}
+ */
+function isInSafePolygon(point, exitPoint, popupRect) {
+	const { top, right, bottom, left } = popupRect;
+	if (
+		point.x >= left &&
+		point.x <= right &&
+		point.y >= top &&
+		point.y <= bottom
+	) {
+		return true;
+	}
+
+	const corners = [
+		{ x: left, y: top },
+		{ x: right, y: top },
+		{ x: right, y: bottom },
+		{ x: left, y: bottom },
+	];
+	return corners.some((corner, index) =>
+		isInTriangle(point, exitPoint, corner, corners[(index + 1) % 4]),
+	);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * positionTooltip calculates the tooltip's top and left position in px.
+ * @param {Partial<DOMRect>} triggerRect
+ * @param {Partial<DOMRect>} tooltipRect
+ * @param {PositionOptions | number} [options={}] Options or the offset in px
+ * @returns {React.CSSProperties}
+ */
+export const positionTooltip = (triggerRect, tooltipRect, options = {}) => {
+	if (!triggerRect || !tooltipRect) return {};
+
+	if (typeof options === 'number') options = { offset: options };
+	const { x, y } = computePosition(triggerRect, tooltipRect, options);
+
+	// NOTE(joel): Fixed tooltips are positioned relative to the viewport, just
+	// like our rects. Absolute ones are positioned relative to their offset
+	// parent, which is the document unless they are rendered into a positioned
+	// container.
+	const origin =
+		options.strategy === 'fixed'
+			? { x: 0, y: 0 }
+			: getOffsetParentOrigin(options.offsetParent, options.ownerDocument);
+	return {
+		left: `${x - origin.x}px`,
+		top: `${y - origin.y}px`,
 	};
 };
 
+/**
+ * getOffsetParentOrigin returns the viewport coordinates that absolutely
+ * positioned children of `offsetParent` are positioned relative to. W/o a
+ * positioned offset parent, that's the origin of the scrolled document.
+ * @param {Element?} [offsetParent]
+ * @param {Document} [ownerDocument]
+ * @returns {{ x: number, y: number }}
+ */
+function getOffsetParentOrigin(offsetParent, ownerDocument) {
+	const doc = ownerDocument ?? getOwnerDocument(offsetParent);
+	if (
+		!offsetParent ||
+		offsetParent === doc.body ||
+		offsetParent === doc.documentElement
+	) {
+		const view = doc.defaultView ?? window;
+		return { x: -view.pageXOffset, y: -view.pageYOffset };
+	}
+
+	const rect = offsetParent.getBoundingClientRect();
+	return {
+		x: rect.left + offsetParent.clientLeft - offsetParent.scrollLeft,
+		y: rect.top + offsetParent.clientTop - offsetParent.scrollTop,
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * getClippingAncestors returns all ancestors of `element` that clip their
+ * overflowing content, i.e. its scroll containers.
+ * @param {Element} element
+ * @returns {Element[]}
+ */
+function getClippingAncestors(element) {
+	const ownerDocument = getOwnerDocument(element);
+	const defaultView = ownerDocument.defaultView || window;
+
+	const ancestors = [];
+	let parent = element.parentElement;
+	while (parent && parent !== ownerDocument.body) {
+		const { overflow, overflowX, overflowY } =
+			defaultView.getComputedStyle(parent);
+		if (
+			/auto|scroll|hidden|clip|overlay/.test(overflow + overflowX + overflowY)
+		) {
+			ancestors.push(parent);
+		}
+		parent = parent.parentElement;
+	}
+	return ancestors;
+}
+
+/**
+ * isClippedOut checks if `rect` lies completely outside of at least one of
+ * the given clipping ancestors.
+ * @param {Partial<DOMRect>} rect
+ * @param {Element[]} clippingAncestors
+ * @returns {boolean}
+ */
+function isClippedOut(rect, clippingAncestors) {
+	return clippingAncestors.some(ancestor => {
+		const clipRect = ancestor.getBoundingClientRect();
+		return (
+			rect.bottom <= clipRect.top ||
+			rect.top >= clipRect.bottom ||
+			rect.right <= clipRect.left ||
+			rect.left >= clipRect.right
+		);
+	});
+}
+
+/**
+ * useTriggerRect measures the trigger element while `observe` is set. On top
+ * of what `useRect` observes, it measures again whenever the document or one
+ * of the trigger's scroll containers scrolls, so that visible tooltips don't
+ * lag behind. It also reports if the trigger has been scrolled out of view of
+ * its clipping containers.
+ * @param {React.RefObject<Element>} ref
+ * @param {boolean} observe
+ * @returns {{ rect: Partial<DOMRect>?, isHidden: boolean }}
+ */
+function useTriggerRect(ref, observe) {
+	const [measurement, setMeasurement] = React.useState(null);
+	const clippingAncestorsRef = React.useRef([]);
+
+	const measure = React.useCallback(() => {
+		const element = ref.current;
+		if (!element) return;
+		const rect = element.getBoundingClientRect();
+		setMeasurement({
+			rect,
+			isHidden: isClippedOut(rect, clippingAncestorsRef.current),
+		});
+	}, [ref]);
+
+	const observedRect = useRect(ref, { observe, onChange: measure });
+
+	useIsomorphicLayoutEffect(() => {
+		if (!observe || !ref.current) return;
+		clippingAncestorsRef.current = getClippingAncestors(ref.current);
+		measure();
+
+		const ownerDocument = getOwnerDocument(ref.current);
+		const defaultView = ownerDocument.defaultView || window;
+
+		/**
+		 * @param {Event} event
+		 */
+		function handleScroll(event) {
+			const { target } = event;
+			if (
+				target === ownerDocument ||
+				(target instanceof defaultView.Node && target.contains(ref.current))
+			) {
+				measure();
+			}
+		}
+
+		// NOTE(joel): `scroll` events don't bubble, but we can still catch the
+		// ones of all scroll containers in the capture phase.
+		const removeScrollListener = addDocumentListener(
+			ownerDocument,
+			'scroll',
+			handleScroll,
+			{ capture: true, passive: true },
+		);
+		defaultView.addEventListener('resize', measure);
+		return () => {
+			removeScrollListener();
+			defaultView.removeEventListener('resize', measure);
+		};
+	}, [observe, ref, measure]);
+
+	return {
+		rect: measurement?.rect ?? observedRect,
+		isHidden: observe && Boolean(measurement?.isHidden),
+	};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} VirtualElement
+ * @prop {() => Partial<DOMRect>} getBoundingClientRect
+ */
+
+/**
+ * getCursorRect returns a rect of the cursor position. If `axis` is `x` or
+ * `y`, only that coordinate follows the cursor while the other one is taken
+ * from `anchorRect`.
+ * @param {Partial<DOMRect>?} anchorRect
+ * @param {Point} cursor
+ * @param {true | 'x' | 'y'} axis
+ * @returns {Partial<DOMRect>}
+ */
+function getCursorRect(anchorRect, cursor, axis) {
+	const followX = axis !== 'y' || !anchorRect;
+	const followY = axis !== 'x' || !anchorRect;
+
+	const left = followX ? cursor.x : anchorRect.left;
+	const top = followY ? cursor.y : anchorRect.top;
+	const width = followX ? 0 : anchorRect.width;
+	const height = followY ? 0 : anchorRect.height;
+	return {
+		left,
+		top,
+		width,
+		height,
+		right: left + width,
+		bottom: top + height,
+		x: left,
+		y: top,
+	};
+}
+
+/**
+ * useCursorPosition tracks the cursor position while `enabled` is set. It
+ * returns the position and a handler to capture it from pointer events.
+ * Updates are throttled to animation frames.
+ * @param {boolean | 'x' | 'y'} enabled
+ * @returns {[Point?, (event: React.PointerEvent | React.MouseEvent) => void]}
+ */
+function useCursorPosition(enabled) {
+	const [cursor, setCursor] = React.useState(null);
+	const cursorRef = React.useRef(null);
+	const frameRef = React.useRef(null);
+
+	React.useEffect(
+		() => () => {
+			if (frameRef.current) window.cancelAnimationFrame(frameRef.current);
+		},
+		[],
+	);
+
+	const captureCursor = React.useCallback(
+		event => {
+			if (!enabled || event.clientX == null) return;
+			cursorRef.current = { x: event.clientX, y: event.clientY };
+			if (frameRef.current) return;
+			frameRef.current = window.requestAnimationFrame(() => {
+				frameRef.current = null;
+				setCursor(cursorRef.current);
+			});
+		},
+		[enabled],
+	);
+
+	return [enabled ? cursor : null, captureCursor];
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * prefersReducedMotion
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function prefersReducedMotion(element) {
+	const defaultView = getOwnerDocument(element).defaultView || window;
+	return Boolean(
+		defaultView.matchMedia?.('(prefers-reduced-motion: reduce)').matches,
+	);
+}
+
+/**
+ * getExitDuration returns the longest duration (incl. delay) in ms of all
+ * animations and transitions currently applied to `element`.
+ * @param {Element} element
+ * @returns {number}
+ */
+function getExitDuration(element) {
+	const defaultView = getOwnerDocument(element).defaultView || window;
+	const style = defaultView.getComputedStyle(element);
+
+	/**
+	 * @param {string} value
+	 * @returns {number[]}
+	 */
+	function toMs(value) {
+		return (value || '0s').split(',').map(time => {
+			const amount = parseFloat(time) || 0;
+			return time.trim().endsWith('ms') ? amount : amount * 1000;
+		});
+	}
+
+	const hasAnimation = (style.animationName || 'none') !== 'none';
+	const durations = [
+		...(hasAnimation ? toMs(style.animationDuration) : []),
+		...toMs(style.transitionDuration),
+	];
+	const delays = [
+		...(hasAnimation ? toMs(style.animationDelay) : []),
+		...toMs(style.transitionDelay),
+	];
+	return Math.max(0, ...durations.map((d, i) => d + (delays[i] || 0)));
+}
+
+/**
+ * usePresence keeps an element mounted after `isVisible` turned false, until
+ * its exit animation or transition has ended. If `exitDuration` is set, the
+ * element stays mounted for at most that many ms, even w/o any animation
+ * we can detect. Users who prefer reduced motion don't wait for animations.
+ * @param {boolean} isVisible
+ * @param {React.RefObject<Element>} ref
+ * @param {number} [exitDuration]
+ * @returns {boolean}
+ */
+function usePresence(isVisible, ref, exitDuration) {
+	const [isPresent, setIsPresent] = React.useState(isVisible);
+	if (isVisible && !isPresent) setIsPresent(true);
+
+	useIsomorphicLayoutEffect(() => {
+		if (isVisible || !isPresent) return;
+
+		const element = ref.current;
+		if (!element || prefersReducedMotion(element)) {
+			setIsPresent(false);
+			return;
+		}
+
+		const timeout = exitDuration ?? getExitDuration(element);
+		if (timeout <= 0) {
+			setIsPresent(false);
+			return;
+		}
+
+		/**
+		 * @param {Event} [event]
+		 */
+		function handleExitEnd(event) {
+			// NOTE(joel): Ignore animations of children.
+			if (event && event.target !== element) return;
+			setIsPresent(false);
+		}
+
+		// NOTE(joel): Not every browser fires end events reliably, e.g. if the
+		// element is not rendered. The timeout acts as a fallback.
+		const timer = window.setTimeout(handleExitEnd, timeout);
+		element.addEventListener('animationend', handleExitEnd);
+		element.addEventListener('transitionend', handleExitEnd);
+		return () => {
+			window.clearTimeout(timer);
+			element.removeEventListener('animationend', handleExitEnd);
+			element.removeEventListener('transitionend', handleExitEnd);
+		};
+	}, [isVisible, isPresent, ref, exitDuration]);
+
+	return isVisible || isPresent;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * isDismissibleByEscape checks if pressing Escape dismisses the tooltip with
+ * `id` in `state`. Compliant tooltips are dismissible while they wait for
+ * their rest delay or close delay as well.
+ * @param {StateObject} state
+ * @param {string} id
+ * @param {boolean} wcag
+ * @returns {boolean}
+ */
+function isDismissibleByEscape({ value, context }, id, wcag) {
+	if (context.id !== id) return false;
+	return (
+		value === TooltipStates.VISIBLE ||
+		(wcag &&
+			(value === TooltipStates.FOCUSED ||
+				value === TooltipStates.LEAVINGVISIBLE))
+	);
+}
+
+/**
+ * supportsPointerEvents
+ * @returns {boolean}
+ */
+function supportsPointerEvents() {
+	return typeof window !== 'undefined' && 'PointerEvent' in window;
+}
+
+/**
+ * useIsHydrated returns false on the server and during hydration. Right after
+ * hydration, before the browser paints, it switches to true.
+ * NOTE(joel): We can't tell from module state whether a render hydrates, e.g.
+ * a second root or a lazy Suspense boundary may hydrate long after the first
+ * tooltip mounted. Hence every tooltip starts out as not hydrated, at the cost
+ * of one more render on the client.
+ * @returns {boolean}
+ */
+function useIsHydrated() {
+	const [isHydrated, setIsHydrated] = React.useState(false);
+	useIsomorphicLayoutEffect(() => {
+		setIsHydrated(true);
+	}, []);
+	return isHydrated;
+}
+
 ////////////////////////////////////////////////////////////////////////////////
 
 /**
@@ -679,18 +3262,15 @@ export const positionTooltip = (triggerRect, tooltipRect, offset = 8) => {
  * `pointerleave`. Additionally, `onPointerEventLeave` added to the trigger
  * element will not work.
  * @see https://github.com/w3c/aria-practices/issues/128#issuecomment-588625727
+ * @param {TooltipMachine} machine
  * @param {boolean} [disabled]
  * @param {boolean} isVisible
  * @param {React.RefObject<T>} ref
  * @template T
  */
-function useDisabledTriggerOnSafari({ disabled, isVisible, ref }) {
+function useDisabledTriggerOnSafari({ machine, disabled, isVisible, ref }) {
 	React.useEffect(() => {
-		if (
-			!(typeof window !== 'undefined' && 'PointerEvent' in window) ||
-			!disabled ||
-			!isVisible
-		) {
+		if (!supportsPointerEvents() || !disabled || !isVisible) {
 			return;
 		}
 
@@ -698,20 +3278,19 @@ function useDisabledTriggerOnSafari({ disabled, isVisible, ref }) {
 
 		function handleMouseMove(event) {
 			if (!isVisible) return;
+			// NOTE(joel): Pointers over the visible trigger or an interactive popup
+			// don't leave the tooltip.
 			if (
 				event.target instanceof Element &&
 				event.target.closest(
-					"[data-react-lit-tooltip-trigger][data-state='tooltip-visible']",
+					"[data-react-lit-tooltip-trigger][data-state='tooltip-visible'], [data-react-lit-tooltip]",
 				)
 			) {
 				return;
 			}
-			send({ type: TooltipEvents.GLOBALMOUSEMOVE });
+			machine.send({ type: TooltipEvents.GLOBALMOUSEMOVE });
 		}
 
-		ownerDocument.addEventListener('mousemove', handleMouseMove);
-		return () => {
-			ownerDocument.removeEventListener('mousemove', handleMouseMove);
-		};
-	}, [disabled, isVisible, ref]);
+		return addDocumentListener(ownerDocument, 'mousemove', handleMouseMove);
+	}, [machine, disabled, isVisible, ref]);
 }
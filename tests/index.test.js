@@ -1,7 +1,30 @@
 import * as React from 'react';
 import { render, fireEvent, act } from './test-utils';
 
-import { Tooltip, LEAVE_TIMEOUT, REST_TIMEOUT } from '../src/index';
+import {
+	Tooltip,
+	TooltipProvider,
+	TooltipArrow,
+	TooltipPopup,
+	TooltipShortcut,
+	TooltipGroup,
+	TooltipInspector,
+	TooltipLayer,
+	TooltipEvents,
+	TooltipStates,
+	createTooltipApi,
+	createTooltipMachine,
+	tooltip,
+	subscribeToTooltipMachine,
+	useTooltip,
+	useTooltipDelegate,
+	positionTooltip,
+	computePosition,
+	LEAVE_TIMEOUT,
+	LONG_PRESS_TIMEOUT,
+	REST_TIMEOUT,
+	SKIP_DELAY_TIMEOUT,
+} from '../src/index';
 
 ////////////////////////////////////////////////////////////////////////////////
 
@@ -25,6 +48,32 @@ function mouseoverTooltip(element) {
 	jest.advanceTimersByTime(REST_TIMEOUT);
 }
 
+// NOTE(joel): Hoverable tooltips stay open while the pointer moves towards
+// them, so we have to move it away. See `mockTooltipRect` for the rect.
+function leaveHoverableTooltip(element) {
+	fireEvent.mouseLeave(element, { clientX: 50, clientY: 100 });
+	fireEvent.mouseMove(document, { clientX: 150, clientY: 110 });
+	jest.advanceTimersByTime(LEAVE_TIMEOUT);
+}
+
+function mockTooltipRect() {
+	jest
+		.spyOn(Element.prototype, 'getBoundingClientRect')
+		.mockImplementation(function getBoundingClientRect() {
+			if (this.hasAttribute('data-react-lit-tooltip')) {
+				return {
+					left: 0,
+					top: 120,
+					right: 100,
+					bottom: 140,
+					width: 100,
+					height: 20,
+				};
+			}
+			return { left: 0, top: 0, right: 0, bottom: 0, width: 0, height: 0 };
+		});
+}
+
 ////////////////////////////////////////////////////////////////////////////////
 
 describe('<Tooltip />', () => {
@@ -57,6 +106,86 @@ describe('<Tooltip />', () => {
 		act(() => void leaveTooltip(trigger));
 	});
 
+	it('should describe its trigger while visible w/o ARIA violations', async () => {
+		let { container, getByRole } = render(
+			<Tooltip label="Saves your changes" type="description">
+				<button>Save</button>
+			</Tooltip>,
+		);
+
+		const trigger = getByRole('button');
+		expect(trigger).toHaveAccessibleName('Save');
+		expect(trigger).not.toHaveAttribute('aria-describedby');
+		expect(trigger).not.toHaveAttribute('aria-labelledby');
+
+		act(() => void mouseoverTooltip(trigger));
+		expect(trigger).toHaveAccessibleName('Save');
+		expect(trigger).toHaveAccessibleDescription('Saves your changes');
+
+		jest.useRealTimers();
+		await expect(container).toHaveNoAxeViolations();
+		jest.useFakeTimers();
+
+		act(() => void leaveTooltip(trigger));
+	});
+
+	it('should name its trigger at all times w/o ARIA violations', async () => {
+		let { container, getByRole, getByText } = render(
+			<Tooltip label="Close" type="label">
+				<button>
+					<span aria-hidden>×</span>
+				</button>
+			</Tooltip>,
+		);
+
+		const trigger = getByRole('button');
+		expect(trigger).toHaveAccessibleName('Close');
+		expect(trigger).not.toHaveAttribute('aria-describedby');
+
+		jest.useRealTimers();
+		await expect(container).toHaveNoAxeViolations();
+		jest.useFakeTimers();
+
+		act(() => void mouseoverTooltip(trigger));
+		expect(trigger).toHaveAccessibleName('Close');
+		expect(trigger).not.toHaveAttribute('aria-describedby');
+		expect(document.querySelector('[role="tooltip"]')).toHaveAttribute(
+			'aria-hidden',
+			'true',
+		);
+
+		jest.useRealTimers();
+		await expect(container).toHaveNoAxeViolations();
+		jest.useFakeTimers();
+
+		act(() => void leaveTooltip(trigger));
+		expect(trigger).toHaveAccessibleName('Close');
+		expect(getByText('Close')).toBeInTheDocument();
+	});
+
+	it("should keep the trigger's `aria-labelledby` when describing it", async () => {
+		const { getByRole } = render(
+			<>
+				<span id="name">Save</span>
+				<Tooltip label="Saves the draft">
+					<button aria-labelledby="name">
+						<span aria-hidden>💾</span>
+					</button>
+				</Tooltip>
+			</>,
+		);
+
+		const trigger = getByRole('button');
+		expect(trigger).toHaveAttribute('aria-labelledby', 'name');
+		expect(trigger).toHaveAccessibleName('Save');
+
+		act(() => void mouseoverTooltip(trigger));
+		expect(trigger).toHaveAttribute('aria-labelledby', 'name');
+		expect(trigger).toHaveAccessibleDescription('Saves the draft');
+
+		act(() => void leaveTooltip(trigger));
+	});
+
 	it('should show/hide a tooltip on hover', async () => {
 		const tooltipText = "I'm the tooltip!";
 		const { getByText, queryByText } = render(
@@ -150,6 +279,44 @@ describe('<Tooltip />', () => {
 		act(() => void leaveTooltip(trigger));
 	});
 
+	it('should apply the theme of the nearest provider or no visual styles when `unstyled`', () => {
+		let { getByText } = render(
+			<TooltipProvider theme={{ backgroundColor: 'black', zIndex: 10 }}>
+				<TooltipProvider theme={{ color: 'white' }}>
+					<Tooltip label="Themed">
+						<button>Themed Trigger</button>
+					</Tooltip>
+					<Tooltip label="Unstyled" unstyled>
+						<button>Unstyled Trigger</button>
+					</Tooltip>
+				</TooltipProvider>
+			</TooltipProvider>,
+		);
+
+		const themedTrigger = getByText(/themed trigger/i);
+		act(() => void mouseoverTooltip(themedTrigger));
+		expect(getByText(/^themed$/i)).toHaveStyle({
+			backgroundColor: 'black',
+			color: 'white',
+			zIndex: '10',
+			border: '1px solid #ccc',
+		});
+		act(() => void leaveTooltip(themedTrigger));
+
+		const unstyledTrigger = getByText(/unstyled trigger/i);
+		act(() => void mouseoverTooltip(unstyledTrigger));
+		const unstyled = getByText(/^unstyled$/i);
+		expect(unstyled.style.position).toBe('absolute');
+		expect(unstyled.style.pointerEvents).toBe('none');
+		expect(unstyled.style.backgroundColor).toBe('');
+		expect(unstyled.style.border).toBe('');
+		expect(unstyled.style.zIndex).toBe('');
+		expect(unstyled.style.whiteSpace).toBe('');
+		expect(unstyled).toHaveAttribute('data-state', 'open');
+		expect(unstyled).toHaveAttribute('data-placement', 'bottom-start');
+		act(() => void leaveTooltip(unstyledTrigger));
+	});
+
 	it('should show a tooltip w/o timeout when another tooltip is already visible', async () => {
 		let { getByText, queryByText } = render(
 			<>
@@ -179,6 +346,430 @@ describe('<Tooltip />', () => {
 		act(() => void leaveTooltip(secondTrigger));
 	});
 
+	it('should skip the rest delay within a <TooltipGroup />', async () => {
+		let { getByText, queryByText } = render(
+			<>
+				<TooltipGroup>
+					<Tooltip label="First">
+						<button>First Trigger</button>
+					</Tooltip>
+					<Tooltip label="Second">
+						<button>Second Trigger</button>
+					</Tooltip>
+				</TooltipGroup>
+				<Tooltip label="Outside">
+					<button>Outside Trigger</button>
+				</Tooltip>
+			</>,
+		);
+
+		let firstTrigger = getByText(/first trigger/i);
+		let secondTrigger = getByText(/second trigger/i);
+		let outsideTrigger = getByText(/outside trigger/i);
+
+		act(() => void mouseoverTooltip(firstTrigger));
+		act(() => void leaveTooltip(firstTrigger));
+		expect(queryByText(/^first$/i)).toBeFalsy();
+
+		// NOTE(joel): Within the skip window, neighbours show right away.
+		act(() => void fireEvent.mouseOver(secondTrigger));
+		expect(queryByText(/^second$/i)).toBeTruthy();
+
+		act(() => void leaveTooltip(secondTrigger));
+		act(() => void jest.advanceTimersByTime(SKIP_DELAY_TIMEOUT));
+
+		// NOTE(joel): Once the window has passed, the rest delay applies again.
+		act(() => void fireEvent.mouseOver(firstTrigger));
+		expect(queryByText(/^first$/i)).toBeFalsy();
+		act(() => void jest.advanceTimersByTime(REST_TIMEOUT));
+		expect(queryByText(/^first$/i)).toBeTruthy();
+
+		// NOTE(joel): Tooltips outside of the group always wait for their rest
+		// delay.
+		act(() => {
+			fireEvent.mouseLeave(firstTrigger);
+			fireEvent.mouseOver(outsideTrigger);
+		});
+		expect(queryByText(/^outside$/i)).toBeFalsy();
+		act(() => void jest.advanceTimersByTime(REST_TIMEOUT));
+		expect(queryByText(/^outside$/i)).toBeTruthy();
+
+		act(() => void leaveTooltip(outsideTrigger));
+	});
+
+	it('should honor guards, states and events of a custom state chart', async () => {
+		let isLocked = true;
+		const machine = createTooltipMachine({
+			states: {
+				[TooltipStates.IDLE]: {
+					on: {
+						[TooltipEvents.MOUSEENTER]: {
+							target: TooltipStates.FOCUSED,
+							cond: () => !isLocked,
+						},
+						DRAG_START: 'DRAGGING',
+					},
+				},
+				DRAGGING: {
+					on: { DRAG_END: TooltipStates.IDLE },
+				},
+			},
+		});
+
+		const { getByText, queryByText } = render(
+			<TooltipProvider machine={machine}>
+				<Tooltip label="Content">
+					<button>Trigger</button>
+				</Tooltip>
+			</TooltipProvider>,
+		);
+
+		const trigger = getByText(/trigger/i);
+
+		act(() => void mouseoverTooltip(trigger));
+		expect(queryByText(/^content$/i)).toBeFalsy();
+		act(() => void fireEvent.mouseLeave(trigger));
+
+		isLocked = false;
+		act(() => void machine.send({ type: 'DRAG_START' }));
+		expect(machine.getState().value).toBe('DRAGGING');
+
+		act(() => void mouseoverTooltip(trigger));
+		expect(queryByText(/^content$/i)).toBeFalsy();
+		act(() => void fireEvent.mouseLeave(trigger));
+
+		act(() => void machine.send({ type: 'DRAG_END' }));
+		act(() => void mouseoverTooltip(trigger));
+		expect(queryByText(/^content$/i)).toBeTruthy();
+
+		act(() => void leaveTooltip(trigger));
+	});
+
+	it('should report every event to machine inspectors', async () => {
+		const machine = createTooltipMachine();
+		const inspections = [];
+		const unsubscribe = subscribeToTooltipMachine(
+			inspection => inspections.push(inspection),
+			machine,
+		);
+
+		const { getByText } = render(
+			<TooltipProvider machine={machine}>
+				<Tooltip id="inspected" label="Content">
+					<button>Trigger</button>
+				</Tooltip>
+				<TooltipInspector />
+			</TooltipProvider>,
+		);
+
+		const trigger = getByText(/trigger/i);
+		const inspector = document.querySelector(
+			'[data-react-lit-tooltip-inspector]',
+		);
+		expect(inspector).toHaveAttribute('data-state', TooltipStates.IDLE);
+
+		act(() => void fireEvent.mouseOver(trigger));
+		expect(inspections[inspections.length - 1]).toMatchObject({
+			event: { type: TooltipEvents.MOUSEENTER },
+			prevState: { value: TooltipStates.IDLE },
+			nextState: { value: TooltipStates.FOCUSED },
+			changed: true,
+			contextId: 'inspected',
+			timers: ['rest'],
+		});
+		expect(inspector).toHaveTextContent('timers: rest');
+
+		act(() => void jest.advanceTimersByTime(REST_TIMEOUT));
+		expect(inspections[inspections.length - 1]).toMatchObject({
+			event: { type: TooltipEvents.REST },
+			nextState: { value: TooltipStates.VISIBLE },
+			timers: [],
+		});
+		expect(inspector).toHaveAttribute('data-state', TooltipStates.VISIBLE);
+
+		act(() => void machine.send({ type: TooltipEvents.TIMECOMPLETE }));
+		expect(inspections[inspections.length - 1]).toMatchObject({
+			changed: false,
+			nextState: { value: TooltipStates.VISIBLE },
+		});
+		expect(inspector).toHaveTextContent('TIME_COMPLETE (ignored)');
+
+		// NOTE(joel): `leave` actions clear the id of the context, but not the
+		// one of the previous state.
+		act(() => void leaveTooltip(trigger));
+		expect(inspections[inspections.length - 1]).toMatchObject({
+			event: { type: TooltipEvents.TIMECOMPLETE },
+			prevState: {
+				value: TooltipStates.LEAVINGVISIBLE,
+				context: { id: 'inspected' },
+			},
+			nextState: { value: TooltipStates.IDLE },
+			contextId: null,
+		});
+
+		const inspectionCount = inspections.length;
+		unsubscribe();
+		act(() => void mouseoverTooltip(trigger));
+		act(() => void leaveTooltip(trigger));
+		expect(inspections).toHaveLength(inspectionCount);
+	});
+
+	it('should show and hide tooltips imperatively', async () => {
+		const { queryByText } = render(
+			<>
+				<Tooltip id="saved" label="Saved">
+					<button>Save</button>
+				</Tooltip>
+				<Tooltip id="other" label="Other">
+					<button>Other Trigger</button>
+				</Tooltip>
+			</>,
+		);
+
+		act(() => void tooltip.show('saved', { duration: 1000 }));
+		expect(queryByText(/^saved$/i)).toBeTruthy();
+
+		act(() => void tooltip.hide('other'));
+		expect(queryByText(/^saved$/i)).toBeTruthy();
+
+		act(() => void jest.advanceTimersByTime(1000));
+		expect(queryByText(/^saved$/i)).toBeFalsy();
+
+		act(() => void tooltip.show('saved'));
+		act(() => void tooltip.show('other'));
+		expect(queryByText(/^saved$/i)).toBeFalsy();
+		expect(queryByText(/^other$/i)).toBeTruthy();
+
+		act(() => void tooltip.hideAll());
+		expect(queryByText(/^other$/i)).toBeFalsy();
+	});
+
+	it('should interleave imperative calls with pointer and keyboard events', async () => {
+		const { getByText, queryByText } = render(
+			<>
+				<Tooltip id="saved" label="Saved">
+					<button>Save</button>
+				</Tooltip>
+				<Tooltip label="Other">
+					<button>Other Trigger</button>
+				</Tooltip>
+			</>,
+		);
+
+		const otherTrigger = getByText(/other trigger/i);
+
+		// NOTE(joel): Dismissing with ESC must not get us stuck in `DISMISSED`.
+		act(() => void tooltip.show('saved'));
+		act(() => void fireEvent.keyDown(document, { key: 'Escape' }));
+		expect(queryByText(/^saved$/i)).toBeFalsy();
+
+		act(() => void mouseoverTooltip(otherTrigger));
+		expect(queryByText(/^other$/i)).toBeTruthy();
+		act(() => void leaveTooltip(otherTrigger));
+
+		// NOTE(joel): Showing a tooltip while another one rests must not get us
+		// stuck in `FOCUSED`.
+		act(() => void fireEvent.mouseOver(otherTrigger));
+		act(() => void tooltip.show('saved', { duration: 1000 }));
+		act(() => void jest.advanceTimersByTime(REST_TIMEOUT));
+		expect(queryByText(/^saved$/i)).toBeTruthy();
+		expect(queryByText(/^other$/i)).toBeFalsy();
+
+		// NOTE(joel): Leaving an unrelated trigger doesn't hide the tooltip
+		// before its duration ran out.
+		act(() => void leaveTooltip(otherTrigger));
+		expect(queryByText(/^saved$/i)).toBeTruthy();
+		act(() => {
+			jest.advanceTimersByTime(1000 - REST_TIMEOUT - LEAVE_TIMEOUT);
+		});
+		expect(queryByText(/^saved$/i)).toBeFalsy();
+
+		act(() => void mouseoverTooltip(otherTrigger));
+		expect(queryByText(/^other$/i)).toBeTruthy();
+		act(() => void tooltip.show('saved', { duration: 1000 }));
+		expect(queryByText(/^saved$/i)).toBeTruthy();
+		expect(queryByText(/^other$/i)).toBeFalsy();
+
+		act(() => void leaveTooltip(otherTrigger));
+		expect(queryByText(/^saved$/i)).toBeTruthy();
+		act(() => void jest.advanceTimersByTime(1000 - LEAVE_TIMEOUT));
+		expect(queryByText(/^saved$/i)).toBeFalsy();
+
+		act(() => void mouseoverTooltip(otherTrigger));
+		expect(queryByText(/^other$/i)).toBeTruthy();
+
+		// NOTE(joel): The duration of a previous call doesn't hide a tooltip the
+		// user interacts with.
+		act(() => void jest.advanceTimersByTime(1000));
+		expect(queryByText(/^other$/i)).toBeTruthy();
+
+		act(() => void leaveTooltip(otherTrigger));
+	});
+
+	it('should show and hide tooltips of a custom state machine imperatively', async () => {
+		const machine = createTooltipMachine();
+		const api = createTooltipApi(machine);
+		const { getByText, queryByText } = render(
+			<TooltipProvider machine={machine}>
+				<Tooltip id="saved" label="Saved">
+					<button>Save</button>
+				</Tooltip>
+				<Tooltip label="Other">
+					<button>Other Trigger</button>
+				</Tooltip>
+			</TooltipProvider>,
+		);
+
+		const otherTrigger = getByText(/other trigger/i);
+
+		act(() => void tooltip.show('saved'));
+		expect(queryByText(/^saved$/i)).toBeFalsy();
+
+		act(() => void api.show('saved'));
+		expect(queryByText(/^saved$/i)).toBeTruthy();
+
+		act(() => void fireEvent.keyDown(document, { key: 'Escape' }));
+		expect(queryByText(/^saved$/i)).toBeFalsy();
+
+		act(() => void mouseoverTooltip(otherTrigger));
+		expect(queryByText(/^other$/i)).toBeTruthy();
+		act(() => void leaveTooltip(otherTrigger));
+
+		act(() => void api.show('saved'));
+		act(() => void api.hide('saved'));
+		expect(queryByText(/^saved$/i)).toBeFalsy();
+
+		act(() => void api.show('saved'));
+		act(() => void api.hideAll());
+		expect(queryByText(/^saved$/i)).toBeFalsy();
+
+		act(() => void tooltip.hideAll());
+	});
+
+	it('should show on `focus-visible` only when focused w/o a pointer', async () => {
+		const { getByText, queryByText } = render(
+			<Tooltip label="Content" triggers={['focus-visible']}>
+				<button>Trigger</button>
+			</Tooltip>,
+		);
+
+		const trigger = getByText(/trigger/i);
+
+		act(() => void mouseoverTooltip(trigger));
+		expect(queryByText(/^content$/i)).toBeFalsy();
+
+		act(() => {
+			fireEvent.mouseDown(trigger);
+			focusTooltip(trigger);
+		});
+		expect(queryByText(/^content$/i)).toBeFalsy();
+		act(() => void blurTooltip(trigger));
+
+		act(() => void focusTooltip(trigger));
+		expect(queryByText(/^content$/i)).toBeTruthy();
+
+		act(() => void blurTooltip(trigger));
+		expect(queryByText(/^content$/i)).toBeFalsy();
+	});
+
+	it('should show on `focus-visible` when focused programmatically after a pointer interaction', async () => {
+		// NOTE(joel): jsdom doesn't support `:focus-visible`, so we treat
+		// elements flagged with `data-focus-visible` as such.
+		const matches = Element.prototype.matches;
+		jest
+			.spyOn(Element.prototype, 'matches')
+			.mockImplementation(function (selector) {
+				if (selector === ':focus-visible') {
+					return this.dataset.focusVisible != null;
+				}
+				return matches.call(this, selector);
+			});
+
+		const { getByText, queryByText } = render(
+			<Tooltip label="Content" triggers={['focus-visible']}>
+				<button>Trigger</button>
+			</Tooltip>,
+		);
+
+		const trigger = getByText(/trigger/i);
+
+		// NOTE(joel): A press that doesn't move focus to the trigger, followed
+		// by a programmatic focus, e.g. by a dialog restoring it.
+		act(() => void fireEvent.mouseDown(trigger));
+		trigger.dataset.focusVisible = '';
+		act(() => void focusTooltip(trigger));
+		expect(queryByText(/^content$/i)).toBeTruthy();
+		act(() => void blurTooltip(trigger));
+		expect(queryByText(/^content$/i)).toBeFalsy();
+
+		delete trigger.dataset.focusVisible;
+		act(() => void focusTooltip(trigger));
+		expect(queryByText(/^content$/i)).toBeFalsy();
+		act(() => void blurTooltip(trigger));
+
+		jest.restoreAllMocks();
+	});
+
+	it('should toggle on `click` and hide when pressing outside', async () => {
+		const { getByText, queryByText } = render(
+			<>
+				<Tooltip label="Content" triggers={['click']}>
+					<button>Trigger</button>
+				</Tooltip>
+				<button>Outside</button>
+			</>,
+		);
+
+		const trigger = getByText(/trigger/i);
+
+		act(() => void mouseoverTooltip(trigger));
+		expect(queryByText(/^content$/i)).toBeFalsy();
+
+		act(() => {
+			fireEvent.mouseDown(trigger);
+			focusTooltip(trigger);
+			fireEvent.click(trigger);
+		});
+		expect(queryByText(/^content$/i)).toBeTruthy();
+
+		// NOTE(joel): Pressing the trigger doesn't dismiss, the click toggles.
+		act(() => {
+			fireEvent.mouseDown(trigger);
+			leaveTooltip(trigger);
+		});
+		expect(queryByText(/^content$/i)).toBeTruthy();
+		act(() => void fireEvent.click(trigger));
+		expect(queryByText(/^content$/i)).toBeFalsy();
+
+		act(() => void fireEvent.click(trigger));
+		expect(queryByText(/^content$/i)).toBeTruthy();
+		act(() => void fireEvent.mouseDown(getByText(/outside/i)));
+		expect(queryByText(/^content$/i)).toBeFalsy();
+	});
+
+	it('should only open `manual` tooltips imperatively', async () => {
+		const { getByText, queryByText } = render(
+			<Tooltip id="manual" label="Content" triggers={['manual']}>
+				<button>Trigger</button>
+			</Tooltip>,
+		);
+
+		const trigger = getByText(/trigger/i);
+
+		act(() => void mouseoverTooltip(trigger));
+		act(() => void focusTooltip(trigger));
+		act(() => void fireEvent.click(trigger));
+		expect(queryByText(/^content$/i)).toBeFalsy();
+
+		act(() => void tooltip.show('manual'));
+		act(() => void fireEvent.mouseDown(trigger));
+		act(() => void leaveTooltip(trigger));
+		expect(queryByText(/^content$/i)).toBeTruthy();
+
+		act(() => void tooltip.hide('manual'));
+		expect(queryByText(/^content$/i)).toBeFalsy();
+	});
+
 	it('should hide on ESC', async () => {
 		const tooltipText = "I'm the tooltip!";
 		const { getByText, queryByText } = render(
@@ -197,4 +788,1413 @@ describe('<Tooltip />', () => {
 
 		act(() => void leaveTooltip(trigger));
 	});
+
+	it('should keep open when `onEscapeKeyDown` prevents the default', async () => {
+		const onEscapeKeyDown = jest.fn(event => event.preventDefault());
+		const { getByText, queryByText, rerender } = render(
+			<Tooltip label="Content" onEscapeKeyDown={onEscapeKeyDown}>
+				<button>Trigger</button>
+			</Tooltip>,
+		);
+
+		const trigger = getByText(/trigger/i);
+
+		act(() => void focusTooltip(trigger));
+		act(() => void fireEvent.keyDown(trigger, { key: 'Escape' }));
+		expect(onEscapeKeyDown).toHaveBeenCalledTimes(1);
+		expect(queryByText(/^content$/i)).toBeTruthy();
+
+		rerender(
+			<Tooltip label="Content" dismissOn={['keypress']}>
+				<button>Trigger</button>
+			</Tooltip>,
+		);
+		act(() => void fireEvent.keyDown(trigger, { key: 'Escape' }));
+		expect(queryByText(/^content$/i)).toBeTruthy();
+
+		act(() => void blurTooltip(trigger));
+	});
+
+	it('should only dismiss on the interactions of `dismissOn`', async () => {
+		const { getByText, queryByText } = render(
+			<Tooltip label="Content" dismissOn={['escape']}>
+				<button>Trigger</button>
+			</Tooltip>,
+		);
+
+		const trigger = getByText(/trigger/i);
+
+		act(() => void mouseoverTooltip(trigger));
+		act(() => void fireEvent.mouseDown(trigger));
+		act(() => void fireEvent.keyDown(trigger, { key: 'Enter' }));
+		expect(queryByText(/^content$/i)).toBeTruthy();
+
+		act(() => void fireEvent.keyDown(trigger, { key: 'Escape' }));
+		expect(queryByText(/^content$/i)).toBeFalsy();
+
+		act(() => void leaveTooltip(trigger));
+	});
+
+	it('should keep open when `onPointerDownOutside` prevents the default', async () => {
+		const onPointerDownOutside = jest.fn(event => event.preventDefault());
+		const { getByText, queryByText } = render(
+			<>
+				<Tooltip
+					label="Content"
+					triggers={['click']}
+					onPointerDownOutside={onPointerDownOutside}
+				>
+					<button>Trigger</button>
+				</Tooltip>
+				<button>Outside</button>
+			</>,
+		);
+
+		act(() => void fireEvent.click(getByText(/trigger/i)));
+		act(() => void fireEvent.mouseDown(getByText(/outside/i)));
+		expect(onPointerDownOutside).toHaveBeenCalledTimes(1);
+		expect(queryByText(/^content$/i)).toBeTruthy();
+
+		act(() => void fireEvent.click(getByText(/trigger/i)));
+	});
+
+	it('should share a single document keydown listener', async () => {
+		const addEventListener = jest.spyOn(document, 'addEventListener');
+		const { unmount } = render(
+			<>
+				<Tooltip label="First" isOpen>
+					<button>First Trigger</button>
+				</Tooltip>
+				<Tooltip label="Second" isOpen>
+					<button>Second Trigger</button>
+				</Tooltip>
+				<Tooltip label="Third" isOpen>
+					<button>Third Trigger</button>
+				</Tooltip>
+			</>,
+		);
+
+		const keydownCalls = addEventListener.mock.calls.filter(
+			([type]) => type === 'keydown',
+		);
+		expect(keydownCalls).toHaveLength(1);
+
+		const removeEventListener = jest.spyOn(document, 'removeEventListener');
+		unmount();
+		expect(
+			removeEventListener.mock.calls.filter(
+				([type, listener]) =>
+					type === 'keydown' && listener === keydownCalls[0][1],
+			),
+		).toHaveLength(1);
+
+		addEventListener.mockRestore();
+		removeEventListener.mockRestore();
+	});
+
+	it('should only listen for Escape while a tooltip is dismissible', async () => {
+		const onEscapeKeyDown = jest.fn();
+		const addEventListener = jest.spyOn(document, 'addEventListener');
+		const removeEventListener = jest.spyOn(document, 'removeEventListener');
+		const { getByText, queryByText } = render(
+			<>
+				<Tooltip label="First" onEscapeKeyDown={onEscapeKeyDown}>
+					<button>First Trigger</button>
+				</Tooltip>
+				<Tooltip label="Second">
+					<button>Second Trigger</button>
+				</Tooltip>
+			</>,
+		);
+
+		/**
+		 * @param {jest.SpyInstance} spy
+		 * @returns {number}
+		 */
+		function countKeydownCalls(spy) {
+			return spy.mock.calls.filter(([type]) => type === 'keydown').length;
+		}
+
+		expect(countKeydownCalls(addEventListener)).toBe(0);
+
+		const trigger = getByText(/first trigger/i);
+		act(() => void fireEvent.mouseOver(trigger));
+		expect(countKeydownCalls(addEventListener)).toBe(0);
+
+		// NOTE(joel): A key press right after the transition, before we
+		// re-rendered, is handled as well.
+		act(() => {
+			jest.advanceTimersByTime(REST_TIMEOUT);
+			fireEvent.keyDown(document, { key: 'Escape' });
+		});
+		expect(onEscapeKeyDown).toHaveBeenCalledTimes(1);
+		expect(queryByText(/^first$/i)).toBeFalsy();
+		expect(countKeydownCalls(addEventListener)).toBe(1);
+		expect(countKeydownCalls(removeEventListener)).toBe(1);
+
+		act(() => void leaveTooltip(trigger));
+		addEventListener.mockRestore();
+		removeEventListener.mockRestore();
+	});
+
+	it('should only notify the previously and newly active tooltip', async () => {
+		const machine = createTooltipMachine();
+		const { subscribe } = machine;
+		let notifications = 0;
+		machine.subscribe = (fn, id) =>
+			subscribe((...args) => {
+				notifications++;
+				fn(...args);
+			}, id);
+
+		const cells = Array.from({ length: 500 }, (_, index) => index);
+		const { getByText } = render(
+			<TooltipProvider machine={machine}>
+				{cells.map(cell => (
+					<Tooltip key={cell} label={`Tooltip ${cell}`}>
+						<button>Cell {cell}</button>
+					</Tooltip>
+				))}
+			</TooltipProvider>,
+		);
+
+		/**
+		 * @param {() => void} fn
+		 * @returns {number}
+		 */
+		function countNotifications(fn) {
+			notifications = 0;
+			act(fn);
+			return notifications;
+		}
+
+		const first = getByText('Cell 0');
+		const second = getByText('Cell 1');
+
+		// NOTE(joel): IDLE -> FOCUSED -> VISIBLE of the first tooltip.
+		expect(countNotifications(() => void fireEvent.mouseOver(first))).toBe(1);
+		expect(
+			countNotifications(() => void jest.advanceTimersByTime(REST_TIMEOUT)),
+		).toBe(1);
+
+		// NOTE(joel): VISIBLE -> LEAVING_VISIBLE of the first tooltip, followed by
+		// LEAVING_VISIBLE -> VISIBLE of the second one.
+		expect(countNotifications(() => void fireEvent.mouseLeave(first))).toBe(1);
+		expect(countNotifications(() => void fireEvent.mouseOver(second))).toBe(2);
+
+		expect(countNotifications(() => void leaveTooltip(second))).toBe(2);
+	});
+
+	it('should delegate a single tooltip to many triggers', async () => {
+		function Grid() {
+			const containerRef = React.useRef(null);
+			const [tooltip] = useTooltipDelegate(containerRef);
+			return (
+				<>
+					<div ref={containerRef}>
+						{['A', 'B', 'C'].map(cell => (
+							<button key={cell} data-tooltip={`Tooltip ${cell}`}>
+								<span>Cell {cell}</span>
+							</button>
+						))}
+					</div>
+					<TooltipPopup {...tooltip} />
+				</>
+			);
+		}
+
+		const { getByText, queryByText, queryAllByRole } = render(<Grid />);
+
+		const cellA = getByText('Cell A').parentElement;
+		const cellB = getByText('Cell B').parentElement;
+
+		act(() => void mouseoverTooltip(getByText('Cell A')));
+		expect(queryAllByRole('tooltip')).toHaveLength(1);
+		const tooltipId = queryAllByRole('tooltip')[0].id;
+		expect(tooltipId).toBeTruthy();
+		expect(cellA).toHaveAttribute('aria-describedby', tooltipId);
+		expect(cellB).not.toHaveAttribute('aria-describedby');
+		expect(queryAllByRole('tooltip')[0]).toHaveTextContent('Tooltip A');
+
+		// NOTE(joel): Moving on to a neighbouring trigger moves the tooltip right
+		// away.
+		act(() => {
+			fireEvent.mouseOut(cellA, { relatedTarget: cellB });
+			fireEvent.mouseOver(cellB);
+		});
+		expect(queryAllByRole('tooltip')).toHaveLength(1);
+		expect(queryAllByRole('tooltip')[0]).toHaveTextContent('Tooltip B');
+		expect(cellA).not.toHaveAttribute('aria-describedby');
+		expect(cellB).toHaveAttribute('aria-describedby', tooltipId);
+
+		act(() => void leaveTooltip(cellB));
+		expect(queryByText('Tooltip B')).toBeFalsy();
+		expect(cellB).not.toHaveAttribute('aria-describedby');
+
+		act(() => void focusTooltip(cellA));
+		expect(queryAllByRole('tooltip')[0]).toHaveTextContent('Tooltip A');
+		act(() => void blurTooltip(cellA));
+		expect(queryAllByRole('tooltip')).toHaveLength(0);
+	});
+
+	it('should render a controlled tooltip based on `isOpen`', async () => {
+		const tooltipText = "I'm the tooltip!";
+		const { queryByText, setProps } = render(
+			<Tooltip label={tooltipText} isOpen>
+				<button>Trigger</button>
+			</Tooltip>,
+		);
+
+		expect(queryByText(tooltipText)).toBeTruthy();
+
+		setProps({ isOpen: false });
+		expect(queryByText(tooltipText)).toBeFalsy();
+	});
+
+	it('should request open state changes through `onOpenChange`', async () => {
+		const tooltipText = "I'm the tooltip!";
+		const onOpenChange = jest.fn();
+		const { getByText, queryByText } = render(
+			<Tooltip
+				label={tooltipText}
+				isOpen={false}
+				onOpenChange={onOpenChange}
+			>
+				<button>Trigger</button>
+			</Tooltip>,
+		);
+
+		const trigger = getByText(/trigger/i);
+
+		act(() => void focusTooltip(trigger));
+		expect(onOpenChange).toHaveBeenLastCalledWith(true, TooltipEvents.FOCUS);
+		// NOTE(joel): The parent owns the open state.
+		expect(queryByText(tooltipText)).toBeFalsy();
+
+		act(() => void fireEvent.keyDown(trigger, { key: 'Escape' }));
+		expect(onOpenChange).toHaveBeenLastCalledWith(
+			false,
+			TooltipEvents.SELECTWITHKEYBOARD,
+		);
+
+		act(() => void leaveTooltip(trigger));
+	});
+
+	it('should render an uncontrolled tooltip initially open with `defaultOpen`', async () => {
+		const tooltipText = "I'm the tooltip!";
+		const onOpenChange = jest.fn();
+		const { getByText, queryByText } = render(
+			<Tooltip label={tooltipText} defaultOpen onOpenChange={onOpenChange}>
+				<button>Trigger</button>
+			</Tooltip>,
+		);
+
+		expect(queryByText(tooltipText)).toBeTruthy();
+
+		const trigger = getByText(/trigger/i);
+		act(() => void mouseoverTooltip(trigger));
+		// NOTE(joel): It has been open already.
+		expect(onOpenChange).not.toHaveBeenCalledWith(true, expect.anything());
+
+		act(() => void leaveTooltip(trigger));
+		expect(onOpenChange).toHaveBeenLastCalledWith(
+			false,
+			TooltipEvents.TIMECOMPLETE,
+		);
+		expect(queryByText(tooltipText)).toBeFalsy();
+	});
+
+	it('should close a `defaultOpen` tooltip like any other tooltip', async () => {
+		const onOpenChange = jest.fn();
+		const { getByText, queryByText } = render(
+			<>
+				<Tooltip label="Default" defaultOpen onOpenChange={onOpenChange}>
+					<button>Default Trigger</button>
+				</Tooltip>
+				<Tooltip label="Other">
+					<button>Other Trigger</button>
+				</Tooltip>
+			</>,
+		);
+		expect(queryByText(/^default$/i)).toBeTruthy();
+
+		act(() => void fireEvent.keyDown(document, { key: 'Escape' }));
+		expect(queryByText(/^default$/i)).toBeFalsy();
+		expect(onOpenChange).toHaveBeenCalledTimes(1);
+		expect(onOpenChange).toHaveBeenLastCalledWith(
+			false,
+			TooltipEvents.SELECTWITHKEYBOARD,
+		);
+
+		// NOTE(joel): Escape must not have left the machine dismissed.
+		const otherTrigger = getByText(/other trigger/i);
+		act(() => void mouseoverTooltip(otherTrigger));
+		expect(queryByText(/^other$/i)).toBeTruthy();
+		act(() => void leaveTooltip(otherTrigger));
+	});
+
+	it('should close a `defaultOpen` tooltip once another one opens', async () => {
+		const { getByText, queryByText } = render(
+			<>
+				<Tooltip label="Default" defaultOpen>
+					<button>Default Trigger</button>
+				</Tooltip>
+				<Tooltip label="Other">
+					<button>Other Trigger</button>
+				</Tooltip>
+			</>,
+		);
+		expect(queryByText(/^default$/i)).toBeTruthy();
+
+		const otherTrigger = getByText(/other trigger/i);
+		act(() => void mouseoverTooltip(otherTrigger));
+		expect(queryByText(/^other$/i)).toBeTruthy();
+		expect(queryByText(/^default$/i)).toBeFalsy();
+		act(() => void leaveTooltip(otherTrigger));
+	});
+
+	it('should honor per-tooltip `openDelay` and `closeDelay`', async () => {
+		const tooltipText = "I'm the tooltip!";
+		const { getByText, queryByText } = render(
+			<Tooltip label={tooltipText} openDelay={300} closeDelay={50}>
+				<button>Trigger</button>
+			</Tooltip>,
+		);
+
+		const trigger = getByText(/trigger/i);
+
+		act(() => void fireEvent.mouseOver(trigger));
+		act(() => void jest.advanceTimersByTime(REST_TIMEOUT));
+		expect(queryByText(tooltipText)).toBeFalsy();
+
+		act(() => void jest.advanceTimersByTime(300 - REST_TIMEOUT));
+		expect(queryByText(tooltipText)).toBeTruthy();
+
+		act(() => void fireEvent.mouseLeave(trigger));
+		act(() => void jest.advanceTimersByTime(50));
+		expect(queryByText(tooltipText)).toBeFalsy();
+	});
+
+	it('should use delays of a wrapping <TooltipProvider />', async () => {
+		const { getByText, queryByText } = render(
+			<TooltipProvider openDelay={0} closeDelay={1000}>
+				<Tooltip label="Provided">
+					<button>Provided Trigger</button>
+				</Tooltip>
+				<TooltipProvider closeDelay={0}>
+					<Tooltip label="Nested" openDelay={200}>
+						<button>Nested Trigger</button>
+					</Tooltip>
+				</TooltipProvider>
+			</TooltipProvider>,
+		);
+
+		const providedTrigger = getByText(/provided trigger/i);
+		act(() => void fireEvent.mouseOver(providedTrigger));
+		act(() => void jest.advanceTimersByTime(0));
+		expect(queryByText(/^provided$/i)).toBeTruthy();
+
+		act(() => void fireEvent.mouseLeave(providedTrigger));
+		act(() => void jest.advanceTimersByTime(LEAVE_TIMEOUT));
+		expect(queryByText(/^provided$/i)).toBeTruthy();
+		act(() => void jest.advanceTimersByTime(1000 - LEAVE_TIMEOUT));
+		expect(queryByText(/^provided$/i)).toBeFalsy();
+
+		const nestedTrigger = getByText(/nested trigger/i);
+		act(() => void fireEvent.mouseOver(nestedTrigger));
+		act(() => void jest.advanceTimersByTime(REST_TIMEOUT));
+		expect(queryByText(/^nested$/i)).toBeFalsy();
+		act(() => void jest.advanceTimersByTime(200 - REST_TIMEOUT));
+		expect(queryByText(/^nested$/i)).toBeTruthy();
+
+		act(() => void fireEvent.mouseLeave(nestedTrigger));
+		act(() => void jest.advanceTimersByTime(0));
+		expect(queryByText(/^nested$/i)).toBeFalsy();
+	});
+
+	it('should share the state machine with tooltips outside of a <TooltipProvider /> by default', async () => {
+		const { getByText, queryByText } = render(
+			<>
+				<Tooltip label="Outside">
+					<button>Outside Trigger</button>
+				</Tooltip>
+				<TooltipProvider openDelay={0}>
+					<Tooltip label="Inside">
+						<button>Inside Trigger</button>
+					</Tooltip>
+				</TooltipProvider>
+			</>,
+		);
+
+		const outsideTrigger = getByText(/outside trigger/i);
+		const insideTrigger = getByText(/inside trigger/i);
+
+		act(() => void focusTooltip(outsideTrigger));
+		act(() => void focusTooltip(insideTrigger));
+		expect(queryByText(/^outside$/i)).toBeFalsy();
+		expect(queryByText(/^inside$/i)).toBeTruthy();
+
+		act(() => void tooltip.hideAll());
+		expect(queryByText(/^inside$/i)).toBeFalsy();
+
+		act(() => void blurTooltip(insideTrigger));
+	});
+
+	it('should isolate tooltips of separate `isolated` <TooltipProvider /> instances', async () => {
+		const { getByText, queryByText } = render(
+			<>
+				<TooltipProvider isolated>
+					<Tooltip label="First">
+						<button>First Trigger</button>
+					</Tooltip>
+				</TooltipProvider>
+				<TooltipProvider isolated>
+					<Tooltip label="Second">
+						<button>Second Trigger</button>
+					</Tooltip>
+				</TooltipProvider>
+			</>,
+		);
+
+		const firstTrigger = getByText(/first trigger/i);
+		const secondTrigger = getByText(/second trigger/i);
+
+		act(() => void focusTooltip(firstTrigger));
+		act(() => void focusTooltip(secondTrigger));
+
+		// NOTE(joel): With a single shared state machine, focusing the second
+		// trigger would hide the first tooltip.
+		expect(queryByText(/^first$/i)).toBeTruthy();
+		expect(queryByText(/^second$/i)).toBeTruthy();
+
+		act(() => void blurTooltip(firstTrigger));
+		expect(queryByText(/^first$/i)).toBeFalsy();
+		expect(queryByText(/^second$/i)).toBeTruthy();
+
+		act(() => void blurTooltip(secondTrigger));
+	});
+
+	it('should render an arrow pointing at the center of the trigger', async () => {
+		jest
+			.spyOn(document.documentElement, 'clientWidth', 'get')
+			.mockReturnValue(500);
+		jest
+			.spyOn(document.documentElement, 'clientHeight', 'get')
+			.mockReturnValue(300);
+		jest
+			.spyOn(Element.prototype, 'getBoundingClientRect')
+			.mockImplementation(function getBoundingClientRect() {
+				if (this.hasAttribute('data-react-lit-tooltip')) {
+					return { left: 0, top: 0, right: 100, bottom: 20, width: 100, height: 20 };
+				}
+				if (this.tagName === 'BUTTON') {
+					return { left: 440, top: 100, right: 480, bottom: 120, width: 40, height: 20 };
+				}
+				return { left: 0, top: 0, right: 0, bottom: 0, width: 0, height: 0 };
+			});
+
+		const tooltipText = "I'm the tooltip!";
+		const { getByText, baseElement } = render(
+			<Tooltip label={tooltipText} arrow={<TooltipArrow size={10} />}>
+				<button>Trigger</button>
+			</Tooltip>,
+		);
+
+		const trigger = getByText(/trigger/i);
+		act(() => void mouseoverTooltip(trigger));
+
+		const tooltip = getByText(tooltipText);
+		expect(tooltip).toHaveAttribute('data-side', 'bottom');
+		expect(tooltip).toHaveAttribute('data-align', 'start');
+		// NOTE(joel): The tooltip is shifted from 440px to 400px to stay within
+		// the viewport. The arrow still points at the trigger's center (460px).
+		expect(tooltip.style.left).toBe('400px');
+
+		const arrow = baseElement.querySelector('[data-react-lit-tooltip-arrow]');
+		expect(arrow).toHaveAttribute('data-side', 'bottom');
+		expect(arrow.style.left).toBe('55px');
+		expect(arrow.style.top).toBe('-5px');
+
+		act(() => void leaveTooltip(trigger));
+		jest.restoreAllMocks();
+	});
+
+	it('should reposition and hide when the trigger scrolls in its container', async () => {
+		let triggerTop = 100;
+		jest
+			.spyOn(Element.prototype, 'getBoundingClientRect')
+			.mockImplementation(function getBoundingClientRect() {
+				if (this.tagName === 'BUTTON') {
+					return {
+						left: 20,
+						top: triggerTop,
+						right: 60,
+						bottom: triggerTop + 20,
+						width: 40,
+						height: 20,
+					};
+				}
+				if (this.getAttribute('data-testid') === 'scroller') {
+					return { left: 0, top: 50, right: 200, bottom: 250, width: 200, height: 200 };
+				}
+				return { left: 0, top: 0, right: 0, bottom: 0, width: 0, height: 0 };
+			});
+
+		const tooltipText = "I'm the tooltip!";
+		const { getByText, getByTestId } = render(
+			<div data-testid="scroller" style={{ overflow: 'auto' }}>
+				<Tooltip
+					label={tooltipText}
+					strategy="fixed"
+					avoidCollisions={false}
+				>
+					<button>Trigger</button>
+				</Tooltip>
+			</div>,
+		);
+
+		const trigger = getByText(/trigger/i);
+		act(() => void focusTooltip(trigger));
+
+		const tooltip = getByText(tooltipText);
+		expect(tooltip.style.position).toBe('fixed');
+		expect(tooltip.style.top).toBe('128px');
+
+		triggerTop = 60;
+		act(() => void fireEvent.scroll(getByTestId('scroller')));
+		expect(tooltip.style.top).toBe('88px');
+		expect(tooltip.style.visibility).not.toBe('hidden');
+
+		triggerTop = 20;
+		act(() => void fireEvent.scroll(getByTestId('scroller')));
+		expect(tooltip.style.visibility).toBe('hidden');
+
+		act(() => void blurTooltip(trigger));
+		jest.restoreAllMocks();
+	});
+
+	it('should show a tooltip on long-press in touch mode', async () => {
+		const tooltipText = "I'm the tooltip!";
+		const onClick = jest.fn();
+		const { getByText, queryByText } = render(
+			<>
+				<Tooltip label={tooltipText} touch>
+					<button onClick={onClick}>Trigger</button>
+				</Tooltip>
+				<button>Elsewhere</button>
+			</>,
+		);
+
+		const trigger = getByText(/^trigger$/i);
+
+		// NOTE(joel): A short tap activates the trigger w/o showing the tooltip.
+		act(() => {
+			fireEvent.pointerDown(trigger, { pointerType: 'touch' });
+			jest.advanceTimersByTime(LONG_PRESS_TIMEOUT / 2);
+			fireEvent.pointerUp(trigger, { pointerType: 'touch' });
+			fireEvent.click(trigger);
+		});
+		act(() => void jest.advanceTimersByTime(LONG_PRESS_TIMEOUT));
+		expect(queryByText(tooltipText)).toBeFalsy();
+		expect(onClick).toHaveBeenCalledTimes(1);
+
+		act(() => {
+			fireEvent.pointerDown(trigger, { pointerType: 'touch' });
+			jest.advanceTimersByTime(LONG_PRESS_TIMEOUT);
+		});
+		expect(queryByText(tooltipText)).toBeTruthy();
+
+		// NOTE(joel): Lifting the finger hides the tooltip after the close delay.
+		act(() => void fireEvent.pointerUp(trigger, { pointerType: 'touch' }));
+		expect(queryByText(tooltipText)).toBeTruthy();
+		act(() => void jest.advanceTimersByTime(LEAVE_TIMEOUT));
+		expect(queryByText(tooltipText)).toBeFalsy();
+
+		// NOTE(joel): Tapping elsewhere hides it right away.
+		act(() => {
+			fireEvent.pointerDown(trigger, { pointerType: 'touch' });
+			jest.advanceTimersByTime(LONG_PRESS_TIMEOUT);
+			fireEvent.pointerUp(trigger, { pointerType: 'touch' });
+		});
+		expect(queryByText(tooltipText)).toBeTruthy();
+		act(
+			() =>
+				void fireEvent.pointerDown(getByText(/elsewhere/i), {
+					pointerType: 'touch',
+				}),
+		);
+		expect(queryByText(tooltipText)).toBeFalsy();
+	});
+
+	it('should ignore touch pointers unless touch mode is enabled', async () => {
+		const tooltipText = "I'm the tooltip!";
+		const { getByText, queryByText } = render(
+			<Tooltip label={tooltipText}>
+				<button>Trigger</button>
+			</Tooltip>,
+		);
+
+		const trigger = getByText(/trigger/i);
+		act(() => {
+			fireEvent.pointerDown(trigger, { pointerType: 'touch' });
+			jest.advanceTimersByTime(LONG_PRESS_TIMEOUT);
+		});
+		expect(queryByText(tooltipText)).toBeFalsy();
+		act(() => void fireEvent.pointerUp(trigger, { pointerType: 'touch' }));
+	});
+
+	it('should keep an interactive tooltip open while it is hovered', async () => {
+		const { getByText, queryByText } = render(
+			<>
+				<Tooltip
+					interactive
+					label={
+						<>
+							Interactive <a href="#more">Learn more</a>
+						</>
+					}
+				>
+					<button>Trigger</button>
+				</Tooltip>
+				<span>Elsewhere</span>
+			</>,
+		);
+
+		const trigger = getByText(/trigger/i);
+		act(() => void mouseoverTooltip(trigger));
+
+		const tooltip = getByText(/interactive/i);
+		expect(tooltip.style.pointerEvents).toBe('auto');
+
+		act(() => {
+			fireEvent.mouseLeave(trigger, { relatedTarget: tooltip });
+			fireEvent.mouseEnter(tooltip, { relatedTarget: trigger });
+			jest.advanceTimersByTime(LEAVE_TIMEOUT);
+		});
+		expect(queryByText(/interactive/i)).toBeTruthy();
+
+		act(() => {
+			fireEvent.mouseLeave(tooltip, { relatedTarget: getByText(/elsewhere/i) });
+			jest.advanceTimersByTime(LEAVE_TIMEOUT);
+		});
+		expect(queryByText(/interactive/i)).toBeFalsy();
+	});
+
+	it('should keep an interactive tooltip open on its way from the trigger', async () => {
+		jest
+			.spyOn(Element.prototype, 'getBoundingClientRect')
+			.mockImplementation(function getBoundingClientRect() {
+				if (this.hasAttribute('data-react-lit-tooltip')) {
+					return { left: 0, top: 120, right: 100, bottom: 140, width: 100, height: 20 };
+				}
+				return { left: 0, top: 0, right: 0, bottom: 0, width: 0, height: 0 };
+			});
+
+		const tooltipText = "I'm the tooltip!";
+		const { getByText, queryByText } = render(
+			<Tooltip interactive label={tooltipText}>
+				<button>Trigger</button>
+			</Tooltip>,
+		);
+
+		const trigger = getByText(/trigger/i);
+		act(() => void mouseoverTooltip(trigger));
+
+		act(() => {
+			fireEvent.mouseLeave(trigger, { clientX: 50, clientY: 100 });
+			fireEvent.mouseMove(document, { clientX: 52, clientY: 110 });
+			jest.advanceTimersByTime(LEAVE_TIMEOUT);
+		});
+		expect(queryByText(tooltipText)).toBeTruthy();
+
+		act(() => {
+			fireEvent.mouseMove(document, { clientX: 150, clientY: 110 });
+			jest.advanceTimersByTime(LEAVE_TIMEOUT);
+		});
+		expect(queryByText(tooltipText)).toBeFalsy();
+
+		jest.restoreAllMocks();
+	});
+
+	it('should keep an interactive tooltip open while focus is inside', async () => {
+		const { getByText, queryByText } = render(
+			<>
+				<Tooltip
+					interactive
+					label={
+						<>
+							Interactive <a href="#more">Learn more</a>
+						</>
+					}
+				>
+					<button>Trigger</button>
+				</Tooltip>
+				<button>Elsewhere</button>
+			</>,
+		);
+
+		const trigger = getByText(/trigger/i);
+		act(() => void focusTooltip(trigger));
+
+		const link = getByText(/learn more/i);
+		act(() => {
+			fireEvent.blur(trigger, { relatedTarget: link });
+			fireEvent.focus(link, { relatedTarget: trigger });
+			jest.advanceTimersByTime(LEAVE_TIMEOUT);
+		});
+		expect(queryByText(/interactive/i)).toBeTruthy();
+
+		const elsewhere = getByText(/elsewhere/i);
+		act(() => {
+			fireEvent.blur(link, { relatedTarget: elsewhere });
+			jest.advanceTimersByTime(LEAVE_TIMEOUT);
+		});
+		expect(queryByText(/interactive/i)).toBeFalsy();
+	});
+
+	it('should keep a `wcag` tooltip open while its content is hovered', () => {
+		const { getByText, queryByText } = render(
+			<>
+				<Tooltip wcag label="Compliant">
+					<button>Trigger</button>
+				</Tooltip>
+				<span>Elsewhere</span>
+			</>,
+		);
+
+		const trigger = getByText(/trigger/i);
+		act(() => void mouseoverTooltip(trigger));
+
+		const tooltip = getByText(/compliant/i);
+		expect(tooltip.style.pointerEvents).toBe('auto');
+
+		act(() => {
+			fireEvent.mouseLeave(trigger, { relatedTarget: tooltip });
+			fireEvent.mouseEnter(tooltip, { relatedTarget: trigger });
+			jest.advanceTimersByTime(LEAVE_TIMEOUT);
+		});
+		expect(queryByText(/compliant/i)).toBeTruthy();
+
+		act(() => {
+			fireEvent.mouseLeave(tooltip, { relatedTarget: getByText(/elsewhere/i) });
+			jest.advanceTimersByTime(LEAVE_TIMEOUT);
+		});
+		expect(queryByText(/compliant/i)).toBeFalsy();
+	});
+
+	it('should dismiss a `wcag` tooltip on Escape w/o moving focus', () => {
+		mockTooltipRect();
+		const { getByText, queryByText } = render(
+			<>
+				<Tooltip wcag label="Compliant">
+					<button>Compliant Trigger</button>
+				</Tooltip>
+				<Tooltip label="Default">
+					<button>Default Trigger</button>
+				</Tooltip>
+			</>,
+		);
+
+		// NOTE(joel): While visible.
+		const trigger = getByText(/compliant trigger/i);
+		act(() => {
+			trigger.focus();
+			jest.advanceTimersByTime(REST_TIMEOUT);
+		});
+		expect(queryByText(/^compliant$/i)).toBeTruthy();
+
+		act(() => void fireEvent.keyDown(document, { key: 'Escape' }));
+		expect(queryByText(/^compliant$/i)).toBeFalsy();
+		expect(trigger).toHaveFocus();
+		act(() => {
+			trigger.blur();
+			jest.advanceTimersByTime(LEAVE_TIMEOUT);
+		});
+
+		// NOTE(joel): While waiting for the rest delay, which the default chart
+		// ignores.
+		const defaultTrigger = getByText(/default trigger/i);
+		act(() => {
+			fireEvent.mouseOver(defaultTrigger);
+			fireEvent.keyDown(document, { key: 'Escape' });
+			jest.advanceTimersByTime(REST_TIMEOUT);
+		});
+		expect(queryByText(/^default$/i)).toBeTruthy();
+		act(() => void leaveTooltip(defaultTrigger));
+
+		act(() => {
+			fireEvent.mouseOver(trigger);
+			fireEvent.keyDown(document, { key: 'Escape' });
+			jest.advanceTimersByTime(REST_TIMEOUT);
+		});
+		expect(queryByText(/^compliant$/i)).toBeFalsy();
+		act(() => void leaveTooltip(trigger));
+
+		// NOTE(joel): While waiting for the close delay.
+		act(() => void mouseoverTooltip(trigger));
+		act(() => {
+			fireEvent.mouseLeave(trigger, { clientX: 50, clientY: 100 });
+			fireEvent.mouseMove(document, { clientX: 150, clientY: 110 });
+			jest.advanceTimersByTime(LEAVE_TIMEOUT / 2);
+		});
+		expect(queryByText(/^compliant$/i)).toBeTruthy();
+		act(() => void fireEvent.keyDown(document, { key: 'Escape' }));
+		expect(queryByText(/^compliant$/i)).toBeFalsy();
+
+		act(() => void mouseoverTooltip(trigger));
+		expect(queryByText(/^compliant$/i)).toBeTruthy();
+		act(() => void leaveHoverableTooltip(trigger));
+		expect(queryByText(/^compliant$/i)).toBeFalsy();
+
+		jest.restoreAllMocks();
+	});
+
+	it('should keep a `wcag` tooltip open until both pointer and focus have left', () => {
+		mockTooltipRect();
+		const { getByText, queryByText } = render(
+			<Tooltip wcag label="Compliant">
+				<button>Trigger</button>
+			</Tooltip>,
+		);
+
+		const trigger = getByText(/trigger/i);
+		act(() => {
+			fireEvent.mouseOver(trigger);
+			trigger.focus();
+			jest.advanceTimersByTime(REST_TIMEOUT);
+		});
+		expect(queryByText(/compliant/i)).toBeTruthy();
+
+		act(() => void leaveHoverableTooltip(trigger));
+		expect(queryByText(/compliant/i)).toBeTruthy();
+
+		act(() => void mouseoverTooltip(trigger));
+		act(() => {
+			trigger.blur();
+			jest.advanceTimersByTime(LEAVE_TIMEOUT);
+		});
+		expect(queryByText(/compliant/i)).toBeTruthy();
+
+		act(() => void leaveHoverableTooltip(trigger));
+		expect(queryByText(/compliant/i)).toBeFalsy();
+
+		jest.restoreAllMocks();
+	});
+
+	it('should not get stuck after a `wcag` tooltip has been dismissed by a click', () => {
+		mockTooltipRect();
+		const { getByText, queryByText } = render(
+			<>
+				<Tooltip wcag label="Compliant">
+					<button>Compliant Trigger</button>
+				</Tooltip>
+				<Tooltip label="Default">
+					<button>Default Trigger</button>
+				</Tooltip>
+			</>,
+		);
+
+		const trigger = getByText(/compliant trigger/i);
+		act(() => void mouseoverTooltip(trigger));
+		expect(queryByText(/^compliant$/i)).toBeTruthy();
+
+		act(() => {
+			fireEvent.mouseDown(trigger);
+			trigger.focus();
+			fireEvent.click(trigger);
+		});
+		expect(queryByText(/^compliant$/i)).toBeFalsy();
+		act(() => void leaveHoverableTooltip(trigger));
+
+		const defaultTrigger = getByText(/default trigger/i);
+		act(() => void mouseoverTooltip(defaultTrigger));
+		expect(queryByText(/^default$/i)).toBeTruthy();
+		act(() => void leaveTooltip(defaultTrigger));
+		act(() => void trigger.blur());
+
+		jest.restoreAllMocks();
+	});
+
+	it('should stay mounted for `exitDuration` after hiding', async () => {
+		const tooltipText = "I'm the tooltip!";
+		const { getByText, queryByText } = render(
+			<Tooltip label={tooltipText} exitDuration={200}>
+				<button>Trigger</button>
+			</Tooltip>,
+		);
+
+		const trigger = getByText(/trigger/i);
+		act(() => void focusTooltip(trigger));
+		expect(getByText(tooltipText)).toHaveAttribute('data-state', 'open');
+
+		act(() => void blurTooltip(trigger));
+		expect(getByText(tooltipText)).toHaveAttribute('data-state', 'closed');
+		expect(trigger).not.toHaveAttribute('aria-describedby');
+
+		act(() => void jest.advanceTimersByTime(200));
+		expect(queryByText(tooltipText)).toBeFalsy();
+	});
+
+	it('should stay mounted until its exit animation has ended', async () => {
+		const style = document.createElement('style');
+		style.textContent = `[data-react-lit-tooltip][data-state='closed'] {
+			animation-name: fade-out;
+			animation-duration: 150ms;
+		}`;
+		document.head.appendChild(style);
+
+		const tooltipText = "I'm the tooltip!";
+		const { getByText, queryByText } = render(
+			<Tooltip label={tooltipText}>
+				<button>Trigger</button>
+			</Tooltip>,
+		);
+
+		const trigger = getByText(/trigger/i);
+		act(() => void focusTooltip(trigger));
+		act(() => void blurTooltip(trigger));
+
+		const tooltip = getByText(tooltipText);
+		expect(tooltip).toHaveAttribute('data-state', 'closed');
+
+		act(() => void fireEvent.animationEnd(tooltip));
+		expect(queryByText(tooltipText)).toBeFalsy();
+
+		style.remove();
+	});
+
+	it('should not wait for exit animations if the user prefers reduced motion', async () => {
+		window.matchMedia = jest.fn(query => ({
+			matches: query === '(prefers-reduced-motion: reduce)',
+		}));
+
+		const tooltipText = "I'm the tooltip!";
+		const { getByText, queryByText } = render(
+			<Tooltip label={tooltipText} exitDuration={200}>
+				<button>Trigger</button>
+			</Tooltip>,
+		);
+
+		const trigger = getByText(/trigger/i);
+		act(() => void focusTooltip(trigger));
+		act(() => void blurTooltip(trigger));
+		expect(queryByText(tooltipText)).toBeFalsy();
+
+		delete window.matchMedia;
+	});
+
+	it('should render rich content with a shortcut', async () => {
+		const { container, getByText, getByRole } = render(
+			<Tooltip
+				label={
+					<>
+						Search <TooltipShortcut keys={['Ctrl', 'K']} />
+					</>
+				}
+				maxWidth={200}
+			>
+				<button>Trigger</button>
+			</Tooltip>,
+		);
+
+		const trigger = getByText(/trigger/i);
+		act(() => void mouseoverTooltip(trigger));
+
+		const tooltip = getByRole('tooltip');
+		expect(tooltip.style.maxWidth).toBe('200px');
+		expect(tooltip.style.whiteSpace).toBe('normal');
+		expect(tooltip.querySelectorAll('kbd')).toHaveLength(2);
+		expect(tooltip.querySelector('[aria-hidden]')).toHaveTextContent(
+			'Ctrl + K',
+		);
+		expect(getByText('Ctrl + K', { ignore: '[aria-hidden]' })).toBeTruthy();
+
+		jest.useRealTimers();
+		await expect(container).toHaveNoAxeViolations();
+		jest.useFakeTimers();
+
+		act(() => void leaveTooltip(trigger));
+	});
+
+	it('should render children of <TooltipPopup /> as content', async () => {
+		function HookTooltip() {
+			const [trigger, tooltip] = useTooltip({});
+			return (
+				<>
+					<button {...trigger}>Trigger</button>
+					<TooltipPopup {...tooltip} wrap>
+						<strong>Line one</strong>
+						<span>Line two</span>
+					</TooltipPopup>
+				</>
+			);
+		}
+
+		const { getByText, getByRole } = render(<HookTooltip />);
+
+		const trigger = getByText(/trigger/i);
+		act(() => void mouseoverTooltip(trigger));
+
+		const tooltip = getByRole('tooltip');
+		expect(tooltip).toHaveTextContent('Line oneLine two');
+		expect(tooltip.style.whiteSpace).toBe('normal');
+
+		act(() => void leaveTooltip(trigger));
+	});
+
+	it('should point at a virtual anchor', async () => {
+		const virtualAnchor = {
+			getBoundingClientRect: () => ({
+				left: 300,
+				top: 40,
+				right: 310,
+				bottom: 50,
+				width: 10,
+				height: 10,
+			}),
+		};
+
+		const tooltipText = "I'm the tooltip!";
+		const { getByText } = render(
+			<Tooltip
+				label={tooltipText}
+				virtualAnchor={virtualAnchor}
+				avoidCollisions={false}
+			>
+				<canvas data-testid="chart" />
+			</Tooltip>,
+		);
+
+		const trigger = document.querySelector('canvas');
+		act(() => void mouseoverTooltip(trigger));
+
+		const tooltip = getByText(tooltipText);
+		expect(tooltip.style.left).toBe('300px');
+		expect(tooltip.style.top).toBe('58px');
+
+		act(() => void leaveTooltip(trigger));
+	});
+
+	it('should follow the cursor', async () => {
+		jest
+			.spyOn(Element.prototype, 'getBoundingClientRect')
+			.mockImplementation(function getBoundingClientRect() {
+				if (this.tagName === 'BUTTON') {
+					return { left: 20, top: 100, right: 220, bottom: 120, width: 200, height: 20 };
+				}
+				return { left: 0, top: 0, right: 0, bottom: 0, width: 0, height: 0 };
+			});
+
+		const { getByText } = render(
+			<>
+				<Tooltip label="Both" followCursor avoidCollisions={false}>
+					<button>Both Trigger</button>
+				</Tooltip>
+				<Tooltip label="Horizontal" followCursor="x" avoidCollisions={false}>
+					<button>Horizontal Trigger</button>
+				</Tooltip>
+			</>,
+		);
+
+		const bothTrigger = getByText(/both trigger/i);
+		act(() => {
+			fireEvent.mouseOver(bothTrigger, { clientX: 50, clientY: 105 });
+			jest.advanceTimersByTime(REST_TIMEOUT);
+		});
+		expect(getByText(/^both$/i).style.left).toBe('50px');
+		expect(getByText(/^both$/i).style.top).toBe('113px');
+
+		act(() => {
+			fireEvent.mouseMove(bothTrigger, { clientX: 60, clientY: 110 });
+			fireEvent.mouseMove(bothTrigger, { clientX: 150, clientY: 115 });
+		});
+		// NOTE(joel): Updates are throttled to animation frames.
+		expect(getByText(/^both$/i).style.left).toBe('50px');
+		act(() => void jest.advanceTimersByTime(16));
+		expect(getByText(/^both$/i).style.left).toBe('150px');
+		expect(getByText(/^both$/i).style.top).toBe('123px');
+
+		act(() => void leaveTooltip(bothTrigger));
+
+		const horizontalTrigger = getByText(/horizontal trigger/i);
+		act(() => {
+			fireEvent.mouseOver(horizontalTrigger, { clientX: 80, clientY: 105 });
+			jest.advanceTimersByTime(REST_TIMEOUT);
+		});
+		expect(getByText(/^horizontal$/i).style.left).toBe('80px');
+		expect(getByText(/^horizontal$/i).style.top).toBe('128px');
+
+		act(() => void leaveTooltip(horizontalTrigger));
+		jest.restoreAllMocks();
+	});
+
+	it('should render into a `container` or inline with `disablePortal`', () => {
+		const portalContainer = document.createElement('div');
+		document.body.appendChild(portalContainer);
+		const containerRef = { current: portalContainer };
+
+		let { getByText, getByTestId } = render(
+			<>
+				<Tooltip label="Element" container={portalContainer}>
+					<button>Element Trigger</button>
+				</Tooltip>
+				<Tooltip label="Ref" container={containerRef}>
+					<button>Ref Trigger</button>
+				</Tooltip>
+				<div data-testid="inline">
+					<Tooltip label="Inline" disablePortal>
+						<button>Inline Trigger</button>
+					</Tooltip>
+				</div>
+			</>,
+		);
+
+		const elementTrigger = getByText(/element trigger/i);
+		act(() => void mouseoverTooltip(elementTrigger));
+		expect(portalContainer).toContainElement(getByText(/^element$/i));
+		act(() => void leaveTooltip(elementTrigger));
+
+		const refTrigger = getByText(/ref trigger/i);
+		act(() => void mouseoverTooltip(refTrigger));
+		expect(portalContainer).toContainElement(getByText(/^ref$/i));
+		act(() => void leaveTooltip(refTrigger));
+
+		const inlineTrigger = getByText(/inline trigger/i);
+		act(() => void mouseoverTooltip(inlineTrigger));
+		expect(getByText(/^inline$/i).previousSibling).toBe(inlineTrigger);
+		expect(getByTestId('inline')).toContainElement(getByText(/^inline$/i));
+		act(() => void leaveTooltip(inlineTrigger));
+
+		portalContainer.remove();
+	});
+
+	it('should render tooltips above the nearest layer', () => {
+		let { getByText } = render(
+			<TooltipProvider zIndex={100}>
+				<Tooltip label="Base">
+					<button>Base Trigger</button>
+				</Tooltip>
+				<TooltipLayer zIndex={1000}>
+					<Tooltip label="Layered" unstyled>
+						<button>Layered Trigger</button>
+					</Tooltip>
+				</TooltipLayer>
+			</TooltipProvider>,
+		);
+
+		const baseTrigger = getByText(/base trigger/i);
+		act(() => void mouseoverTooltip(baseTrigger));
+		expect(getByText(/^base$/i).style.zIndex).toBe('100');
+		act(() => void leaveTooltip(baseTrigger));
+
+		const layeredTrigger = getByText(/layered trigger/i);
+		act(() => void mouseoverTooltip(layeredTrigger));
+		expect(getByText(/^layered$/i).style.zIndex).toBe('1001');
+		act(() => void leaveTooltip(layeredTrigger));
+	});
+
+	it('should render tooltips of triggers inside of a modal dialog into it', () => {
+		// NOTE(joel): jsdom supports neither `showModal()` nor `:modal`.
+		const matches = Element.prototype.matches;
+		jest
+			.spyOn(Element.prototype, 'matches')
+			.mockImplementation(function (selector) {
+				if (selector === ':modal') return this.dataset.modal != null;
+				return matches.call(this, selector);
+			});
+
+		let { getByText, getByTestId } = render(
+			<>
+				<dialog open data-modal="" data-testid="modal">
+					<Tooltip label="Modal">
+						<button>Modal Trigger</button>
+					</Tooltip>
+				</dialog>
+				<dialog open data-testid="non-modal">
+					<Tooltip label="Non-modal">
+						<button>Non-modal Trigger</button>
+					</Tooltip>
+				</dialog>
+			</>,
+		);
+
+		const modalTrigger = getByText(/^modal trigger/i);
+		act(() => void mouseoverTooltip(modalTrigger));
+		expect(getByTestId('modal')).toContainElement(getByText(/^modal$/i));
+		act(() => void leaveTooltip(modalTrigger));
+
+		const nonModalTrigger = getByText(/non-modal trigger/i);
+		act(() => void mouseoverTooltip(nonModalTrigger));
+		expect(getByTestId('non-modal')).not.toContainElement(
+			getByText(/^non-modal$/i),
+		);
+		act(() => void leaveTooltip(nonModalTrigger));
+
+		jest.restoreAllMocks();
+	});
+
+	it('should render and position tooltips within the document of an iframe', () => {
+		const iframe = document.createElement('iframe');
+		document.body.appendChild(iframe);
+		const iframeDocument = iframe.contentDocument;
+		const iframeWindow = iframe.contentWindow;
+		const pageYOffset = window.pageYOffset;
+		window.pageYOffset = 1000;
+		iframeWindow.pageYOffset = 50;
+
+		let { getByText } = render(
+			<Tooltip label="Content" avoidCollisions={false}>
+				<button>Trigger</button>
+			</Tooltip>,
+			{ baseElement: iframeDocument.body },
+		);
+
+		const trigger = getByText(/trigger/i);
+		jest.spyOn(trigger, 'getBoundingClientRect').mockReturnValue({
+			left: 10,
+			top: 10,
+			width: 40,
+			height: 20,
+			right: 50,
+			bottom: 30,
+		});
+		act(() => void mouseoverTooltip(trigger));
+
+		const content = getByText(/content/i);
+		expect(content.ownerDocument === iframeDocument).toBe(true);
+		expect(content.parentElement.parentElement === iframeDocument.body).toBe(
+			true,
+		);
+		// NOTE(joel): 10 + 20 + 8 px offset + 50 px scrolled inside the iframe.
+		expect(content.style.top).toBe('88px');
+
+		act(() => void leaveTooltip(trigger));
+		window.pageYOffset = pageYOffset;
+		jest.restoreAllMocks();
+		iframe.remove();
+	});
+});
+
+describe('positionTooltip', () => {
+	const tooltipRect = { width: 100, height: 20 };
+
+	function rect(left, top, width = 40, height = 20) {
+		return { left, top, width, height, right: left + width, bottom: top + height };
+	}
+
+	beforeEach(() => {
+		jest
+			.spyOn(document.documentElement, 'clientWidth', 'get')
+			.mockReturnValue(500);
+		jest
+			.spyOn(document.documentElement, 'clientHeight', 'get')
+			.mockReturnValue(300);
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	it('should place the tooltip below the trigger by default', () => {
+		expect(positionTooltip(rect(100, 100), tooltipRect)).toEqual({
+			left: '100px',
+			top: '128px',
+		});
+	});
+
+	it('should support side and alignment placements', () => {
+		const triggerRect = rect(200, 100);
+		expect(
+			computePosition(triggerRect, tooltipRect, { placement: 'top' }),
+		).toEqual({ x: 170, y: 72, side: 'top', align: 'center' });
+		expect(
+			computePosition(triggerRect, tooltipRect, { placement: 'bottom-end' }),
+		).toEqual({ x: 140, y: 128, side: 'bottom', align: 'end' });
+		expect(
+			computePosition(triggerRect, tooltipRect, { placement: 'right-end' }),
+		).toEqual({ x: 248, y: 100, side: 'right', align: 'end' });
+		expect(
+			computePosition(triggerRect, tooltipRect, { placement: 'left' }),
+		).toEqual({ x: 92, y: 100, side: 'left', align: 'center' });
+	});
+
+	it('should flip to the opposite side when overflowing', () => {
+		expect(
+			computePosition(rect(200, 5), tooltipRect, { placement: 'top' }),
+		).toMatchObject({ y: 33, side: 'bottom' });
+		expect(
+			computePosition(rect(200, 270), tooltipRect, { placement: 'bottom' }),
+		).toMatchObject({ y: 242, side: 'top' });
+		expect(
+			computePosition(rect(440, 100), tooltipRect, { placement: 'right' }),
+		).toMatchObject({ x: 332, side: 'left' });
+	});
+
+	it('should shift along the cross axis to stay within the padding', () => {
+		expect(
+			computePosition(rect(480, 100), tooltipRect, {
+				placement: 'bottom-start',
+				collisionPadding: 10,
+			}),
+		).toMatchObject({ x: 390, side: 'bottom', align: 'start' });
+		expect(
+			computePosition(rect(0, 100), tooltipRect, {
+				placement: 'top',
+				collisionPadding: 10,
+			}),
+		).toMatchObject({ x: 10, side: 'top' });
+	});
+
+	it('should stay within a `collisionBoundary` element', () => {
+		const collisionBoundary = document.createElement('div');
+		collisionBoundary.getBoundingClientRect = () => rect(50, 50, 200, 100);
+
+		expect(
+			computePosition(rect(200, 60), tooltipRect, {
+				placement: 'top-start',
+				collisionBoundary,
+			}),
+		).toEqual({ x: 150, y: 88, side: 'bottom', align: 'start' });
+	});
+
+	it('should not avoid collisions when `avoidCollisions` is false', () => {
+		expect(
+			computePosition(rect(480, 5), tooltipRect, {
+				placement: 'top-start',
+				avoidCollisions: false,
+			}),
+		).toEqual({ x: 480, y: -23, side: 'top', align: 'start' });
+	});
+
+	it('should add the page offset only for the absolute strategy', () => {
+		const pageYOffset = window.pageYOffset;
+		window.pageYOffset = 50;
+
+		expect(positionTooltip(rect(100, 100), tooltipRect)).toEqual({
+			left: '100px',
+			top: '178px',
+		});
+		expect(
+			positionTooltip(rect(100, 100), tooltipRect, { strategy: 'fixed' }),
+		).toEqual({ left: '100px', top: '128px' });
+
+		window.pageYOffset = pageYOffset;
+	});
+
+	it('should position relative to the `offsetParent`', () => {
+		const offsetParent = document.createElement('div');
+		jest.spyOn(offsetParent, 'getBoundingClientRect').mockReturnValue(
+			rect(30, 40, 200, 200),
+		);
+		offsetParent.scrollTop = 10;
+
+		expect(
+			positionTooltip(rect(100, 100), tooltipRect, { offsetParent }),
+		).toEqual({ left: '70px', top: '98px' });
+		expect(
+			positionTooltip(rect(100, 100), tooltipRect, {
+				offsetParent: document.body,
+			}),
+		).toEqual({ left: '100px', top: '128px' });
+	});
 });
@@ -0,0 +1,171 @@
+import * as React from 'react';
+// NOTE(joel): jsdom makes Jest resolve the browser build of `react-dom/server`,
+// which relies on globals jsdom doesn't provide. Servers use the Node build.
+import { renderToString } from 'react-dom/server.node';
+import { createRoot, hydrateRoot } from 'react-dom/client';
+import { act } from './test-utils';
+
+import { Tooltip, TooltipProvider, tooltip } from '../src/index';
+
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * renderOnServer renders `element` to a string like a Node server would.
+ * @param {React.ReactElement} element
+ * @returns {string}
+ */
+function renderOnServer(element) {
+	// NOTE(joel): jsdom provides a DOM, so `useIsomorphicLayoutEffect` picks
+	// `useLayoutEffect`, which React warns about on the server. On an actual
+	// server it falls back to `useEffect`.
+	const consoleError = jest
+		.spyOn(console, 'error')
+		.mockImplementation((message, ...args) => {
+			if (/useLayoutEffect does nothing on the server/.test(message)) return;
+			consoleError.mockRestore();
+			console.error(message, ...args);
+		});
+	try {
+		return renderToString(element);
+	} finally {
+		consoleError.mockRestore();
+	}
+}
+
+////////////////////////////////////////////////////////////////////////////////
+
+describe('server-side rendering', () => {
+	let container;
+
+	beforeEach(() => {
+		container = document.createElement('div');
+		document.body.appendChild(container);
+	});
+
+	afterEach(() => {
+		document.body.innerHTML = '';
+	});
+
+	it('should never render content or `aria-describedby` on the server', () => {
+		const html = renderOnServer(
+			<>
+				<Tooltip label="Uncontrolled" defaultOpen>
+					<button>First Trigger</button>
+				</Tooltip>
+				<Tooltip label="Controlled" isOpen>
+					<button>Second Trigger</button>
+				</Tooltip>
+			</>,
+		);
+
+		expect(html).not.toMatch(/uncontrolled|controlled/i);
+		expect(html).not.toMatch(/aria-describedby/);
+		expect(html).not.toMatch(/role="tooltip"/);
+	});
+
+	it('should not render module state into the markup of a request', () => {
+		// NOTE(joel): E.g. left behind by a previous request.
+		tooltip.show('shared');
+
+		const html = renderOnServer(
+			<Tooltip id="shared" label="Shared">
+				<button>Trigger</button>
+			</Tooltip>,
+		);
+
+		expect(html).not.toMatch(/shared/i);
+		expect(html).not.toMatch(/aria-describedby/);
+
+		tooltip.hideAll();
+	});
+
+	it('should name triggers of labels with a known id on the server', () => {
+		const html = renderOnServer(
+			<>
+				<Tooltip id="close" label="Close" type="label">
+					<button>×</button>
+				</Tooltip>
+				<Tooltip label="Open" type="label">
+					<button>+</button>
+				</Tooltip>
+			</>,
+		);
+
+		expect(html).toMatch(/aria-labelledby="tooltip-label--close"/);
+		expect(html).toMatch(/id="tooltip-label--close"[^>]*>Close</);
+		// NOTE(joel): Auto-generated ids are only known once hydrated.
+		expect(html.match(/aria-labelledby/g)).toHaveLength(1);
+		expect(html).not.toMatch(/role="tooltip"/);
+	});
+
+	it('should hydrate `defaultOpen` tooltips w/o mismatches', async () => {
+		const element = (
+			<TooltipProvider>
+				<Tooltip label="Content" defaultOpen>
+					<button>Trigger</button>
+				</Tooltip>
+			</TooltipProvider>
+		);
+		container.innerHTML = renderOnServer(element);
+
+		const consoleError = jest.spyOn(console, 'error');
+		let root;
+		await act(async () => {
+			root = hydrateRoot(container, element);
+		});
+
+		expect(consoleError).not.toHaveBeenCalled();
+		consoleError.mockRestore();
+
+		const trigger = container.querySelector('button');
+		const content = document.querySelector('[role="tooltip"]');
+		expect(content).toHaveTextContent('Content');
+		expect(trigger).toHaveAttribute('aria-describedby', content.id);
+
+		act(() => void root.unmount());
+	});
+
+	it('should hydrate w/o mismatches after tooltips rendered on the client', async () => {
+		// NOTE(joel): E.g. another root or a micro-frontend mounted before.
+		const clientContainer = document.createElement('div');
+		document.body.appendChild(clientContainer);
+		const clientRoot = createRoot(clientContainer);
+		act(() => {
+			clientRoot.render(
+				<Tooltip label="Client" defaultOpen>
+					<button>Client Trigger</button>
+				</Tooltip>,
+			);
+		});
+		act(() => void clientRoot.unmount());
+
+		const element = (
+			<>
+				<Tooltip label="Content" defaultOpen>
+					<button>First Trigger</button>
+				</Tooltip>
+				<Tooltip label="Label" type="label">
+					<button>+</button>
+				</Tooltip>
+			</>
+		);
+		container.innerHTML = renderOnServer(element);
+
+		const consoleError = jest.spyOn(console, 'error');
+		let root;
+		await act(async () => {
+			root = hydrateRoot(container, element);
+		});
+
+		expect(consoleError).not.toHaveBeenCalled();
+		consoleError.mockRestore();
+
+		const [trigger, labelTrigger] = container.querySelectorAll('button');
+		const content = document.querySelector('[role="tooltip"]');
+		expect(content).toHaveTextContent('Content');
+		expect(trigger).toHaveAttribute('aria-describedby', content.id);
+		expect(labelTrigger).toHaveAccessibleName('Label');
+
+		act(() => void root.unmount());
+	});
+});